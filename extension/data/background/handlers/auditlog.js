@@ -0,0 +1,202 @@
+'use strict';
+//
+// Audit log of the moderation actions made through toolbox.
+// Kept in IndexedDB on the background page so it lasts across tabs and browser restarts.
+// It can't be cleared, only the oldest actions are pruned once there are more than AUDIT_LIMIT.
+//
+
+const AUDIT_DATABASE = 'tb-audit-log',
+      AUDIT_STORE = 'actions',
+      AUDIT_LIMIT = 100000,
+      AUDIT_PRUNE_INTERVAL = 100;
+
+let auditDatabase,
+    auditInserts = 0;
+
+// Actions that only know their target get the subreddit looked up in batches.
+const auditLookups = [];
+let auditLookupTimeout;
+
+/**
+ * Opens the audit log database, creating it the first time.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openAuditDatabase () {
+    if (!auditDatabase) {
+        auditDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open(AUDIT_DATABASE, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(AUDIT_STORE, {keyPath: 'id', autoIncrement: true});
+                store.createIndex('time', 'time');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return auditDatabase;
+}
+
+/**
+ * Runs a transaction on the audit log.
+ * @param {string} mode `readonly` or `readwrite`
+ * @param {function} run called with the object store, may return a request whose result the promise resolves with
+ * @returns {Promise<any>}
+ */
+async function auditTransaction (mode, run) {
+    const database = await openAuditDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(AUDIT_STORE, mode),
+              request = run(transaction.objectStore(AUDIT_STORE));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Fills in the subreddits of the queued actions from the things they targeted.
+ */
+async function lookUpAuditSubreddits () {
+    const lookups = auditLookups.splice(0, 100),
+          subreddits = {};
+    let response;
+
+    try {
+        response = await $.getJSON('https://old.reddit.com/api/info.json', {
+            id: [...new Set(lookups.map(lookup => lookup.target))].join(','),
+        });
+    } catch (error) {
+        console.log('Failed to look up the subreddits of audit log entries:', error);
+    }
+
+    if (response) {
+        response.data.children.forEach(child => {
+            subreddits[child.data.name] = child.data.subreddit;
+        });
+
+        await auditTransaction('readwrite', store => {
+            lookups.forEach(({id, target}) => {
+                if (!subreddits[target]) {
+                    return;
+                }
+                store.get(id).onsuccess = event => {
+                    const entry = event.target.result;
+                    entry.subreddit = subreddits[target];
+                    store.put(entry);
+                };
+            });
+        });
+    }
+
+    if (auditLookups.length) {
+        lookUpAuditSubreddits();
+    }
+}
+
+/**
+ * Deletes the oldest actions of the audit log, until it's down to AUDIT_LIMIT.
+ * Counting the log takes a while once it's big, so it's only done on the first and then every AUDIT_PRUNE_INTERVAL-th
+ * insert, letting the log grow a little past the limit in between.
+ * @param {IDBObjectStore} store
+ */
+function pruneAuditLog (store) {
+    if (auditInserts++ % AUDIT_PRUNE_INTERVAL) {
+        return;
+    }
+    store.count().onsuccess = event => {
+        let excess = event.target.result - AUDIT_LIMIT;
+        if (excess <= 0) {
+            return;
+        }
+        store.index('time').openCursor().onsuccess = cursorEvent => {
+            const cursor = cursorEvent.target.result;
+            if (cursor && excess-- > 0) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    };
+}
+
+/**
+ * The range of times to read from the audit log, null for all of it.
+ * @param {number?} from earliest timestamp
+ * @param {number?} to latest timestamp
+ * @returns {IDBKeyRange?}
+ */
+function auditTimeRange (from, to) {
+    if (from && to) {
+        return IDBKeyRange.bound(from, to);
+    }
+    if (from) {
+        return IDBKeyRange.lowerBound(from);
+    }
+    if (to) {
+        return IDBKeyRange.upperBound(to);
+    }
+    return null;
+}
+
+/**
+ * Whether an entry of the audit log matches the given filters, besides the time range.
+ * @param {object} entry
+ * @param {object} filters
+ * @returns {boolean}
+ */
+function matchesAuditFilters (entry, {subreddit, module, action, mod, search}) {
+    const matches = (value, filter) => !filter || (value || '').toLowerCase() === filter.toLowerCase();
+
+    return matches(entry.subreddit, subreddit) &&
+        matches(entry.module, module) &&
+        matches(entry.action, action) &&
+        matches(entry.mod, mod) &&
+        (!search || [entry.target, entry.feature, entry.reason].join(' ').toLowerCase().includes(search.toLowerCase()));
+}
+
+messageHandlers.set('tb-audit-log', async request => {
+    switch (request.method) {
+    case 'add': {
+        const entry = request.entry,
+              id = await auditTransaction('readwrite', store => {
+                  const added = store.add(entry);
+                  pruneAuditLog(store);
+                  return added;
+              });
+
+        if (!entry.subreddit && /^t[1-6]_/.test(entry.target)) {
+            auditLookups.push({id, target: entry.target});
+            clearTimeout(auditLookupTimeout);
+            auditLookupTimeout = setTimeout(lookUpAuditSubreddits, 2000);
+        }
+        return {id};
+    }
+    case 'get': {
+        const filters = request.filters || {};
+        if (filters.from && filters.to && filters.from > filters.to) {
+            return {entries: []};
+        }
+        // Walk the log newest first, stopping once there are as many matching entries as asked for.
+        const entries = [],
+              limit = request.limit || Infinity;
+        await auditTransaction('readonly', store => {
+            store.index('time').openCursor(auditTimeRange(filters.from, filters.to), 'prev').onsuccess = event => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    return;
+                }
+                if (matchesAuditFilters(cursor.value, filters)) {
+                    entries.push(cursor.value);
+                }
+                if (entries.length < limit) {
+                    cursor.continue();
+                }
+            };
+        });
+        return {entries};
+    }
+    default:
+        return {errorThrown: `Unknown audit log method '${request.method}'`};
+    }
+});
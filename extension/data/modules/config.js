@@ -17,6 +17,10 @@ function tbconfig () {
               unManager = TB.storage.getSetting('UserNotes', 'unManagerLink', true);
         let config = TBCore.config,
             sortReasons = [],
+            subredditRules,
+            publishedReasonUsage,
+            syncSubreddits = [],
+            syncConfigs = {},
             subreddit;
 
         // With the following function we will create the UI when we need it.
@@ -65,15 +69,26 @@ function tbconfig () {
                         title: 'edit user note types',
                         tooltip: 'Edit user note types and colors here.',
                         content: `<div id="tb-config-usernote-types">
+                        <p id="tb-config-usernotes-getfrom">Use the user notes and note types of /r/: <input class="getfrom tb-input" type="text" placeholder="this subreddit"> (<span style="color:red">WARNING:</span> notes added here are then stored in that subreddit and the types below are not used.)</p>
                         <table>
                             <thead>
                                 <tr>
                                     <th>Name</th>
                                     <th>Key</th>
+                                    <th></th>
+                                    <th title="Notes of this type older than this are removed when the retention rules are applied from the usernotes manager. Leave empty to keep them forever.">Delete after</th>
                                 </tr>
                             </thead>
                             <tbody id="tb-config-usernote-type-list"></tbody>
-                        </table><a class="tb-general-button" href="javascript:;" id="add-usernote-type">Add user note type</a><a class="tb-general-button" data-module="usernotes" href="javascript:;" id="tb-config-help">help</a>
+                        </table>
+                        <p id="tb-config-usernote-retention-none">Notes without a known type are deleted after <input class="retention tb-input" name="type-retention" placeholder="keep forever" type="number" min="1"> days</p>
+                        <h2>Escalation ladder</h2>
+                        <p>Every note of a type used in the ladder counts as a strike. The user notes popup and the ban tab of the mod button suggest the step after the last strike.</p>
+                        <table id="tb-config-escalation-ladder">
+                            <tbody id="tb-config-escalation-step-list"></tbody>
+                        </table>
+                        <a class="tb-general-button" href="javascript:;" id="add-escalation-step">Add escalation step</a>
+                        <a class="tb-general-button" href="javascript:;" id="add-usernote-type">Add user note type</a><a class="tb-general-button" data-module="usernotes" href="javascript:;" id="tb-config-help">help</a>
                     </div>`,
                         footer: $('<input>').prop('type', 'button').attr('id', 'save-usernote-types').addClass('tb-action-button').prop('value', 'Save user note types'),
                     },
@@ -95,11 +110,29 @@ function tbconfig () {
                         tooltip: 'Configure the basic behavior for removal reasons here.',
                         content: `
                 <table>
+                    <tr>
+                    <td>Languages:</td>
+                    <td>
+                        <input class="default-language tb-input" type="text" placeholder="default language" value="${TBHelpers.htmlEncode(configData.removalReasons.defaultLanguage || '')}"/>
+                        translated to
+                        <input class="languages tb-input" type="text" placeholder="other languages, separated by commas" value="${TBHelpers.htmlEncode((configData.removalReasons.languages || []).join(', '))}"/>
+                    </td>
+                    </tr><tr>
                     <td>Header:</td>
-                    <td><textarea class="tb-input edit-header" >${TBHelpers.htmlEncode(unescape(configData.removalReasons.header ? configData.removalReasons.header : ''))}</textarea></td>
+                    <td><div class="removal-reason-variants" data-kind="header">
+                        <div class="removal-reason-variant">
+                            <div class="removal-reason-language"></div>
+                            <textarea class="tb-input edit-header" >${TBHelpers.htmlEncode(unescape(configData.removalReasons.header ? configData.removalReasons.header : ''))}</textarea>
+                        </div>
+                    </div></td>
                     </tr><tr>
                     <td>Footer:</td>
-                    <td><textarea class="tb-input edit-footer" >${TBHelpers.htmlEncode(unescape(configData.removalReasons.footer ? configData.removalReasons.footer : ''))}</textarea></td>
+                    <td><div class="removal-reason-variants" data-kind="footer">
+                        <div class="removal-reason-variant">
+                            <div class="removal-reason-language"></div>
+                            <textarea class="tb-input edit-footer" >${TBHelpers.htmlEncode(unescape(configData.removalReasons.footer ? configData.removalReasons.footer : ''))}</textarea>
+                        </div>
+                    </div></td>
                     </tr>
                     <tr class="advanced-enable" ${(TBCore.advancedMode ? '' : 'style="display:none;"')}>
                     <td><a href="javascript:;" class="show-advanced tb-general-button">show advanced settings</a></td>
@@ -153,10 +186,19 @@ function tbconfig () {
                         tooltip: 'Edit and add your removal reasons here.',
                         content: `
                 <a href="javascript:;" id="tb-add-removal-reason" class="tb-general-button"><i class="tb-icons">${TBui.icons.addCircle}</i> Add new removal reason</a>
-                <a href="javascript:;" id="tb-config-help" class="tb-general-button" data-module="rreasons">help</a></br>
+                <a href="javascript:;" id="tb-config-help" class="tb-general-button" data-module="rreasons">help</a>
+                <a href="javascript:;" id="tb-publish-reason-usage" class="tb-general-button" title="Share how often you used each reason on a wiki page, so the other mods see it here too.">publish my usage</a></br>
                 <span id="tb-add-removal-reason-form">
-                    <textarea class="tb-input edit-area" placeholder="reason comment text (optional if you\`re using flair only)"></textarea><br/>
-                    <input type="text" class="tb-input" name="removal-title" placeholder="removal reason title" /><br/>
+                    <div class="removal-reason-variants">
+                        <div class="removal-reason-variant">
+                            <div class="removal-reason-language"></div>
+                            <textarea class="tb-input edit-area" placeholder="reason comment text (optional if you\`re using flair only)"></textarea><br/>
+                            <input type="text" class="tb-input" name="removal-title" placeholder="removal reason title" />
+                        </div>
+                    </div>
+                    <select class="tb-action-button rule-select" name="removal-rule" data-rule=""></select><br/>
+                    <select class="tb-action-button usernote-select" name="removal-usernote" data-usernote=""></select>
+                    <input type="text" class="tb-input" name="usernote-text" placeholder="usernote text (default: {reason_title})" /><br/>
                     <input type="text" class="tb-input" name="flair-text" placeholder="flair text" /><br/>
                     <input type="text" class="tb-input" name="flair-css" placeholder="flair css class" /><br/>
                     <input type="text" class="tb-input" name="edit-note" placeholder="reason for wiki edit (optional)" /><br>
@@ -178,6 +220,7 @@ function tbconfig () {
                         <li>Navigating away from this tab will reset the reasons in their original order.</li>
                     </ul>
                 </div>
+                <a href="javascript:;" class="tb-sort-removal-usage tb-general-button">sort by usage</a>
                 <table id="tb-removal-sort-list">
                 </table>
                 `,
@@ -191,7 +234,9 @@ function tbconfig () {
                 <a href="javascript:;" id="tb-config-help" class="tb-general-button" data-module="modmacros">help</a></br>
                 <div id="tb-add-mod-macro-form">
                     <textarea class="tb-input edit-area"></textarea><br/>
+                    <div class="tb-macro-preview"></div>
                     <input type="text" class="tb-input" class="macro-title" name="macro-title" placeholder="macro title" /><br>
+                    <input type="text" class="tb-input macro-hotkey" name="macro-hotkey" placeholder="keyboard shortcut, press it here (e.g. alt+1)" readonly /><br>
                     <div class="tb-macro-actions">
                         <div class="tb-macro-actions-row">
                             <h2>Reply</h2>
@@ -211,7 +256,9 @@ function tbconfig () {
                             <h2>User</h2>
                             <label><input type="checkbox" id="banuser">ban user</label>
                             <label><input type="checkbox" id="muteuser">mute user</label>
+                            <label><input type="checkbox" id="approveuser">add as approved submitter</label>
                         </div>
+                        ${macroStepsHTML()}
                     </div>
                     <input type="text" class="tb-input" name="edit-note" placeholder="reason for wiki edit (optional)" /><br>
                     <input class="save-new-macro tb-action-button" type="button" value="Save new macro"><input class="cancel-new-macro tb-action-button" type="button" value="Cancel adding macro">
@@ -248,14 +295,37 @@ function tbconfig () {
                 </table>`,
                         footer: '<input class="save-ban-macro tb-action-button" type="button" value="Save ban macro">',
                     },
+                    {
+                        title: 'sync with other subreddits',
+                        tooltip: 'Compare removal reasons, mod macros and user note types with other subreddits and copy them across.',
+                        content: `
+                <p>Compare the removal reasons, mod macros and user note types of /r/${subredditConfig} with /r/: <input class="sync-subreddits tb-input" type="text" placeholder="other subreddits, comma separated"> <a href="javascript:;" class="sync-compare tb-general-button">compare</a></p>
+                <p>Only the entries that differ are listed. Pick the subreddit to copy each entry from, and tick the subreddits to copy it to.</p>
+                <div class="tb-config-sync-results"></div>
+                `,
+                        footer: '<input class="sync-copy tb-action-button" type="button" value="Copy selected entries">',
+                    },
                 ],
                 [], // extra header buttons
                 'tb-config', // class
                 false // single overriding footer
             ).appendTo('body');
             $body.css('overflow', 'hidden');
+
+            const removalReasons = configData.removalReasons,
+                  languages = removalReasons.languages || [];
+            showHeaderTranslations('header', languages, removalReasons.defaultLanguage, Object.assign({}, removalReasons.headerTranslations));
+            showHeaderTranslations('footer', languages, removalReasons.defaultLanguage, Object.assign({}, removalReasons.footerTranslations));
         }
 
+        // Languages of the removal reasons changed, update the header and footer translations to match.
+        $body.on('change', '.tb-config .languages, .tb-config .default-language', () => {
+            const languages = reasonLanguages($body.find('.tb-config .languages').val()),
+                  defaultLanguage = $body.find('.tb-config .default-language').val().trim();
+            showHeaderTranslations('header', languages, defaultLanguage, Object.assign({}, config.removalReasons.headerTranslations));
+            showHeaderTranslations('footer', languages, defaultLanguage, Object.assign({}, config.removalReasons.footerTranslations));
+        });
+
         // Advanced removal reasons
         $body.on('click', '.show-advanced', () => {
             $('.advanced-enable').hide();
@@ -295,6 +365,8 @@ function tbconfig () {
         // If it is one of the many buttons on a queue page we first have to fetch the data and see if it is there.
         $body.on('click', '#tb-config-link, .tb-config-link', function () {
             subreddit = $(this).data('subreddit');
+            subredditRules = null;
+            publishedReasonUsage = null;
 
             TBApi.readFromWiki(subreddit, 'toolbox', true, resp => {
                 if (!resp || resp === TBCore.WIKI_PAGE_UNKNOWN || resp === TBCore.NO_WIKI_PAGE) {
@@ -536,13 +608,78 @@ function tbconfig () {
                 colors = TBCore.defaultUsernoteTypes;
             }
 
+            const retention = config.usernoteRetention || {};
+
+            $('#tb-config-usernotes-getfrom .getfrom').val(config.usernotesGetfrom || '');
+
             let $list;
             colors.forEach(color => {
-                $list = appendUsernoteType(color.key, color.text, color.color, $list);
+                $list = appendUsernoteType(color.key, color.text, color.color, retention[color.key], $list);
+            });
+
+            $('#tb-config-usernote-retention-none .retention').val(retention.none || '');
+
+            (config.escalationLadder || []).forEach(step => {
+                appendEscalationStep(step);
+            });
+        }
+
+        function appendEscalationStep (step) {
+            let ban = 'none';
+            if (step.banDays === 'permanent') {
+                ban = 'permanent';
+            } else if (step.banDays) {
+                ban = 'temporary';
+            }
+
+            const $step = $(`
+            <tr class="escalation-step">
+                <td class="step-number"></td>
+                <td><select class="step-type tb-action-button"></select></td>
+                <td>
+                    <select class="step-ban tb-action-button">
+                        <option value="none">no ban</option>
+                        <option value="temporary">temporary ban</option>
+                        <option value="permanent">permanent ban</option>
+                    </select>
+                </td>
+                <td><input class="step-days tb-input" type="number" min="1" max="999" placeholder="days" value="${ban === 'temporary' ? step.banDays : ''}"></td>
+                <td><a class="remove-escalation-step tb-icons tb-icons-negative tb-icons-align-middle" href="javascript:;">${TBui.icons.delete}</a></td>
+                <td class="escalation-error error"></td>
+            </tr>
+            `);
+
+            $step.find('.step-ban').val(ban);
+            $step.find('.step-days').toggle(ban === 'temporary');
+            $('#tb-config-escalation-step-list').append($step);
+            updateEscalationTypes($step, step.type);
+            numberEscalationSteps();
+        }
+
+        // The step type options follow the type rows above, which may have been edited since the step was added.
+        function updateEscalationTypes ($step, selected) {
+            const $select = $step.find('.step-type'),
+                  value = selected || $select.val();
+
+            $select.empty();
+            $('#tb-config-usernote-type-list .usernote-type').each(function () {
+                const key = $(this).find('.key').val();
+                if (key) {
+                    $select.append($('<option>').val(key).text($(this).find('.name').val() || key));
+                }
+            });
+            if (value) {
+                $select.val(value);
+            }
+        }
+
+        function numberEscalationSteps () {
+            $('#tb-config-escalation-step-list .step-number').each(function (i) {
+                $(this).text(`${i + 1}.`);
             });
         }
 
-        function appendUsernoteType (key, text, color, $list) {
+        function appendUsernoteType (key, text, color, retentionDays, $list) {
             const safeColor = TBHelpers.colorNameToHex(color);
             if (!$list) {
                 $list = $('#tb-config-usernote-type-list');
@@ -553,6 +690,7 @@ function tbconfig () {
                 <td><input class="name tb-input" name="type-name" placeholder="name (shown when adding a note)" type="text" value="${text}"></td>
                 <td><input class="key tb-input" name="type-key" placeholder="key (should be unique)" type="text" value="${key}"></td>
                 <td><input class="color" name="type-color" type="color" value="${safeColor}"></td>
+                <td><input class="retention tb-input" name="type-retention" placeholder="keep forever" type="number" min="1" value="${retentionDays || ''}"> days</td>
                 <td>
                     <a class="up-usernote-type tb-icons tb-icons-align-middle" href="javascript:;">${TBui.icons.sortUp}</a><a class="down-usernote-type tb-icons tb-icons-align-middle" href="javascript:;">${TBui.icons.sortDown}</a><a class="remove-usernote-type tb-icons tb-icons-negative tb-icons-align-middle" href="javascript:;">${TBui.icons.delete}</a>
                 </td>
@@ -582,7 +720,9 @@ function tbconfig () {
                     const removalReasonText = unescape(config.removalReasons.reasons[i].text) || '',
                           removalReasonTitle = config.removalReasons.reasons[i].title || '',
                           removalReasonFlairText = config.removalReasons.reasons[i].flairText || '',
-                          removalReasonFlairCSS = config.removalReasons.reasons[i].flairCSS || '';
+                          removalReasonFlairCSS = config.removalReasons.reasons[i].flairCSS || '',
+                          removalReasonRule = config.removalReasons.reasons[i].rule || '',
+                          removalReasonUsernote = config.removalReasons.reasons[i].usernote || {};
 
                     const removalReasonTemplate = `
                 <tr class="removal-reason" data-reason="{{i}}" data-subreddit="{{subreddit}}">
@@ -591,10 +731,19 @@ function tbconfig () {
                         <a href="javascript:;" data-reason="{{i}}" data-subreddit="{{subreddit}}" class="delete tb-icons tb-icons-negative">${TBui.icons.delete}</a>
                     </td>
                     <td class="removal-reasons-content" data-reason="{{i}}">
-                        <span class="removal-reason-label" data-for="reason-{{subreddit}}-{{i++}}"><span><h3 class="removal-title">{{removalReasonTitle}}</h3>{{label}}</span></span><br>
+                        <span class="removal-reason-label" data-for="reason-{{subreddit}}-{{i++}}"><span><h3 class="removal-title">{{removalReasonTitle}}</h3>{{ruleLabel}}{{label}}</span></span>
+                        <div class="removal-reason-usage"></div>
                         <span class="removal-reason-edit">
-                            <textarea class="tb-input edit-area">{{removalReasonText}}</textarea><br/>
-                            <input type="text" class="tb-input" name="removal-title" placeholder="removal reason title" value="{{removalReasonTitle}}"/><br/>
+                            <div class="removal-reason-variants">
+                                <div class="removal-reason-variant">
+                                    <div class="removal-reason-language"></div>
+                                    <textarea class="tb-input edit-area">{{removalReasonText}}</textarea><br/>
+                                    <input type="text" class="tb-input" name="removal-title" placeholder="removal reason title" value="{{removalReasonTitle}}"/>
+                                </div>
+                            </div>
+                            <select class="tb-action-button rule-select" name="removal-rule" data-rule="{{removalReasonRule}}"></select><br/>
+                            <select class="tb-action-button usernote-select" name="removal-usernote" data-usernote="{{removalReasonUsernoteType}}"></select>
+                            <input type="text" class="tb-input" name="usernote-text" placeholder="usernote text (default: {reason_title})" value="{{removalReasonUsernoteText}}"/><br/>
                             <input type="text" class="tb-input" name="flair-text" placeholder="flair text" value="{{removalReasonFlairText}}"/><br/>
                             <input type="text" class="tb-input" name="flair-css" placeholder="flair css class" value="{{removalReasonFlairCSS}}"/><br/>
                             <input type="text" class="tb-input" name="edit-note" placeholder="reason for wiki edit (optional)" /><br>
@@ -612,13 +761,281 @@ function tbconfig () {
                         removalReasonTitle,
                         removalReasonFlairText,
                         removalReasonFlairCSS,
+                        'removalReasonRule': TBHelpers.htmlEncode(removalReasonRule),
+                        'ruleLabel': ruleLabel(removalReasonRule),
+                        'removalReasonUsernoteType': TBHelpers.htmlEncode(removalReasonUsernote.type || ''),
+                        'removalReasonUsernoteText': TBHelpers.htmlEncode(removalReasonUsernote.text || ''),
                     });
 
                     const $removalReasonsList = $body.find('.edit_removal_reasons #tb-removal-reasons-list');
 
                     $removalReasonsList.append(removalReasonTemplateHTML);
+                    showReasonTranslations($removalReasonsList.find('tr.removal-reason').last(), this.translations);
+                });
+            }
+
+            showReasonTranslations($body.find('#tb-add-removal-reason-form'), {});
+            populateRuleSelects();
+            populateUsernoteSelects($body.find('.edit_removal_reasons .usernote-select'));
+            showReasonUsage();
+        }
+
+        // How often a removal reason was used by the current mod and by all mods, counting the usage other mods published.
+        function reasonUsageCounts (reason) {
+            const rreasons = TB.modules.RReasons,
+                  key = rreasons.reasonUsageKey(reason),
+                  own = rreasons.reasonUsage(subreddit)[key] || {count: 0, lastUsed: 0},
+                  team = Object.assign({}, own);
+
+            Object.keys(publishedReasonUsage || {}).forEach(mod => {
+                const usage = publishedReasonUsage[mod][key];
+                if (mod !== TBCore.logged && usage) {
+                    team.count += usage.count || 0;
+                    team.lastUsed = Math.max(team.lastUsed, usage.lastUsed || 0);
+                }
+            });
+
+            return {own, team};
+        }
+
+        // Shows under each removal reason how often it was used, fetching the usage other mods published the first time.
+        function showReasonUsage () {
+            if (!publishedReasonUsage) {
+                TB.modules.RReasons.getPublishedReasonUsage(subreddit, mods => {
+                    publishedReasonUsage = mods || {};
+                    showReasonUsage();
+                });
+                return;
+            }
+
+            const usageText = usage => usage.count ? `${usage.count} ${usage.count === 1 ? 'use' : 'uses'}, last ${TBHelpers.formatTokenDate(usage.lastUsed, 'ago')} ago` : 'never used';
+
+            $body.find('.edit_removal_reasons tr.removal-reason').each(function () {
+                const reason = config.removalReasons.reasons[$(this).attr('data-reason')];
+                if (!reason) {
+                    return;
+                }
+
+                const {own, team} = reasonUsageCounts(reason);
+                let text = `you: ${usageText(own)}`;
+                if (Object.keys(publishedReasonUsage).some(mod => mod !== TBCore.logged)) {
+                    text += ` — all mods: ${usageText(team)}`;
+                }
+                $(this).find('.removal-reason-usage').text(text).toggleClass('unused', !team.count);
+            });
+        }
+
+        // The languages removal reasons are translated to, as entered in the removal reasons settings.
+        function reasonLanguages (value) {
+            return value.split(',').map(language => language.trim()).filter((language, index, languages) => language && languages.indexOf(language) === index);
+        }
+
+        // Puts a column for each translation of a removal reason next to the fields of its default language.
+        function showReasonTranslations ($reason, translations = {}) {
+            const languages = config.removalReasons && config.removalReasons.languages || [],
+                  $variants = $reason.find('.removal-reason-variants');
+
+            $variants.find('.removal-reason-variant.translation').remove();
+            $variants.find('.removal-reason-language').first().text(languages.length ? config.removalReasons.defaultLanguage || 'default language' : '');
+            languages.forEach(language => {
+                const translation = translations[language] || {},
+                      $translation = $(`<div class="removal-reason-variant translation">
+                        <div class="removal-reason-language"></div>
+                        <textarea class="tb-input edit-area-translation"></textarea><br/>
+                        <input type="text" class="tb-input" name="removal-title-translation" />
+                    </div>`);
+
+                $translation.attr('data-language', language);
+                $translation.find('.removal-reason-language').text(language);
+                $translation.find('.edit-area-translation').attr('placeholder', `reason comment text in ${language}`).val(unescape(translation.text || ''));
+                $translation.find('input[name=removal-title-translation]').attr('placeholder', `removal reason title in ${language}`).val(translation.title || '');
+                $variants.append($translation);
+            });
+        }
+
+        // Reads the translations of a removal reason from its columns, leaving out the ones without text or title.
+        function readReasonTranslations ($reason) {
+            const translations = {};
+            $reason.find('.removal-reason-variant.translation').each(function () {
+                const $translation = $(this),
+                      text = $translation.find('.edit-area-translation').val(),
+                      title = $translation.find('input[name=removal-title-translation]').val();
+                if (text || title) {
+                    translations[$translation.attr('data-language')] = {
+                        text: escape(text),
+                        title,
+                    };
+                }
+            });
+            return translations;
+        }
+
+        // Shows the header or footer translations next to the default header or footer in the removal reasons settings.
+        function showHeaderTranslations (kind, languages, defaultLanguage, translations) {
+            const $variants = $body.find(`.removal-reason-variants[data-kind="${kind}"]`);
+
+            // Keep what has been typed for languages that are still there.
+            $variants.find('.removal-reason-variant.translation').each(function () {
+                translations[$(this).attr('data-language')] = escape($(this).find('textarea').val());
+            });
+            $variants.find('.removal-reason-variant.translation').remove();
+
+            $variants.find('.removal-reason-language').first().text(languages.length ? defaultLanguage || 'default language' : '');
+            languages.forEach(language => {
+                const $translation = $(`<div class="removal-reason-variant translation">
+                    <div class="removal-reason-language"></div>
+                    <textarea class="tb-input edit-${kind}-translation"></textarea>
+                </div>`);
+                $translation.attr('data-language', language);
+                $translation.find('.removal-reason-language').text(language);
+                $translation.find('textarea').val(unescape(translations[language] || ''));
+                $variants.append($translation);
+            });
+        }
+
+        function readHeaderTranslations (kind) {
+            const translations = {};
+            $body.find(`.removal-reason-variants[data-kind="${kind}"] .removal-reason-variant.translation`).each(function () {
+                const text = $(this).find('textarea').val();
+                if (text) {
+                    translations[$(this).attr('data-language')] = escape(text);
+                }
+            });
+            return translations;
+        }
+
+        function ruleLabel (rule) {
+            return rule ? `<div class="removal-reason-rule">rule: ${TBHelpers.htmlEncode(rule)}</div>` : '';
+        }
+
+        // Fills the rule dropdowns of the removal reasons with the subreddit's rules, fetching them the first time.
+        function populateRuleSelects () {
+            if (!subredditRules) {
+                TBApi.getRules(subreddit, (success, response) => {
+                    subredditRules = success && response.rules ? response.rules : [];
+                    populateRuleSelects();
+                });
+                return;
+            }
+
+            $body.find('.edit_removal_reasons .rule-select').each(function () {
+                const $select = $(this),
+                      rule = $select.attr('data-rule');
+
+                $select.empty().append($('<option>').val('').text('(not linked to a rule)'));
+                subredditRules.forEach(subredditRule => {
+                    $select.append($('<option>').val(subredditRule.short_name).text(`rule: ${subredditRule.short_name}`));
+                });
+                // Keep links to rules that have been renamed or removed since.
+                if (rule && !subredditRules.some(subredditRule => subredditRule.short_name === rule)) {
+                    $select.append($('<option>').val(rule).text(`rule: ${rule} (no longer exists)`));
+                }
+                $select.val(rule);
+            });
+        }
+
+        // Fills usernote dropdowns, of removal reasons or macros, with the subreddit's usernote types.
+        function populateUsernoteSelects ($selects) {
+            const types = config.usernoteColors && config.usernoteColors.length > 0 ? config.usernoteColors : TBCore.defaultUsernoteTypes;
+
+            $selects.each(function () {
+                const $select = $(this),
+                      type = $select.attr('data-usernote');
+
+                $select.empty().append($('<option>').val('').text('(no usernote)'));
+                types.forEach(usernoteType => {
+                    $select.append($('<option>').val(usernoteType.key).text(`usernote: ${usernoteType.text}`));
                 });
+                // Keep types that have been removed since.
+                if (type && !types.some(usernoteType => usernoteType.key === type)) {
+                    $select.append($('<option>').val(type).text(`usernote: ${type} (no longer exists)`));
+                }
+                $select.val(type);
+            });
+        }
+
+        // Reads the usernote a removal reason adds, if any.
+        function readReasonUsernote ($reason) {
+            const type = $reason.find('select[name=removal-usernote]').val();
+            if (!type) {
+                return null;
+            }
+            return {
+                type,
+                text: $reason.find('input[name=usernote-text]').val(),
+            };
+        }
+
+        // The fields of the macro steps besides the reply and the moderation actions.
+        function macroStepsHTML () {
+            return `
+                <div class="tb-macro-actions-row">
+                    <h2>Flair</h2>
+                    <input type="text" class="tb-input" name="flair-text" placeholder="post flair text">
+                    <input type="text" class="tb-input" name="flair-css" placeholder="post flair css class">
+                    <input type="text" class="tb-input" name="user-flair-text" placeholder="user flair text">
+                    <input type="text" class="tb-input" name="user-flair-css" placeholder="user flair css class">
+                </div>
+                <div class="tb-macro-actions-row">
+                    <h2>Usernote</h2>
+                    <select class="tb-action-button usernote-select" name="macro-usernote" data-usernote=""></select>
+                    <input type="text" class="tb-input" name="usernote-text" placeholder="usernote text (default: macro title)">
+                </div>
+                <div class="tb-macro-actions-row">
+                    <h2>Modmail</h2>
+                    <input type="text" class="tb-input" name="modmail-subject" placeholder="modmail subject">
+                    <textarea class="tb-input" name="modmail-text" placeholder="separate modmail to the user (optional)"></textarea>
+                </div>`;
+        }
+
+        // Shows the steps of a macro in its form, an empty macro clears the form.
+        function showMacroSteps ($form, macro) {
+            const usernote = macro.usernote || {},
+                  modmail = macro.modmail || {};
+
+            $form.find('input[name=flair-text]').val(macro.flairText || '');
+            $form.find('input[name=flair-css]').val(macro.flairCSS || '');
+            $form.find('input[name=user-flair-text]').val(macro.userFlairText || '');
+            $form.find('input[name=user-flair-css]').val(macro.userFlairCSS || '');
+            $form.find('select[name=macro-usernote]').attr('data-usernote', usernote.type || '');
+            populateUsernoteSelects($form.find('select[name=macro-usernote]'));
+            $form.find('input[name=usernote-text]').val(usernote.text || '');
+            $form.find('input[name=modmail-subject]').val(modmail.subject || '');
+            $form.find('textarea[name=modmail-text]').val(unescape(modmail.text || ''));
+        }
+
+        // Reads the steps of a macro from its form, leaving out the ones that aren't used.
+        function readMacroSteps ($form, macro) {
+            const usernoteType = $form.find('select[name=macro-usernote]').val(),
+                  modmailText = $form.find('textarea[name=modmail-text]').val();
+
+            ['flairText', 'flairCSS', 'userFlairText', 'userFlairCSS', 'usernote', 'modmail'].forEach(step => {
+                delete macro[step];
+            });
+            [
+                ['flairText', 'input[name=flair-text]'],
+                ['flairCSS', 'input[name=flair-css]'],
+                ['userFlairText', 'input[name=user-flair-text]'],
+                ['userFlairCSS', 'input[name=user-flair-css]'],
+            ].forEach(([step, selector]) => {
+                const value = $form.find(selector).val();
+                if (value) {
+                    macro[step] = value;
+                }
+            });
+            if (usernoteType) {
+                macro.usernote = {
+                    type: usernoteType,
+                    text: $form.find('input[name=usernote-text]').val(),
+                };
             }
+            if (modmailText) {
+                macro.modmail = {
+                    subject: $form.find('input[name=modmail-subject]').val(),
+                    text: escape(modmailText),
+                };
+            }
+            macro.approveuser = $form.find('#approveuser').prop('checked');
         }
 
         // With this function we'll fetch the removal reasons for editing
@@ -626,21 +1043,27 @@ function tbconfig () {
             if (config.removalReasons && config.removalReasons.reasons.length > 0) {
             // Copy the reasons to a new array without reference to the old one.
                 sortReasons = JSON.parse(JSON.stringify(config.removalReasons.reasons));
+                showSortReasons();
+            }
+        }
 
-                config.removalReasons.reasons.forEach((reason, index) => {
-                    let label = unescape(reason.text);
-                    if (label === '') {
-                        label = '<span style="color: #cecece">(no reason)</span>';
-                    } else {
-                        if (label.length > 200) {
-                            label = `${label.substring(0, 197)}...`;
-                        }
-                        label = TBHelpers.htmlEncode(label);
+        // Lists the removal reasons in the order they are being sorted in.
+        function showSortReasons () {
+            $body.find('.sort_removal_reasons #tb-removal-sort-list').empty();
+            sortReasons.forEach((reason, index) => {
+                let label = unescape(reason.text);
+                if (label === '') {
+                    label = '<span style="color: #cecece">(no reason)</span>';
+                } else {
+                    if (label.length > 200) {
+                        label = `${label.substring(0, 197)}...`;
                     }
+                    label = TBHelpers.htmlEncode(label);
+                }
 
-                    const removalReasonTitle = reason.title || '';
+                const removalReasonTitle = reason.title || '';
 
-                    const removalReasonTemplateHTML = `
+                const removalReasonTemplateHTML = `
                 <tr class="removal-reason" data-reason="${index}" data-subreddit="${subreddit}">
                     <td class="removal-reasons-sort-buttons">
                         <a href="javascript:;" class="tb-sort-up tb-icons">${TBui.icons.sortUp}</a>
@@ -651,11 +1074,10 @@ function tbconfig () {
                     </td>
                 </tr>`;
 
-                    const $removalReasonsList = $body.find('.sort_removal_reasons #tb-removal-sort-list');
+                const $removalReasonsList = $body.find('.sort_removal_reasons #tb-removal-sort-list');
 
-                    $removalReasonsList.append(removalReasonTemplateHTML);
-                });
-            }
+                $removalReasonsList.append(removalReasonTemplateHTML);
+            });
         }
         // Mod macros are also nice to have!
 
@@ -685,7 +1107,9 @@ function tbconfig () {
                         <span class="mod-macro-label" data-for="macro-{{subreddit}}-{{i}}"><span><h3 class="macro-title">{{modMacroTitle}}</h3>{{label}}</span></span><br>
                         <span class="mod-macro-edit">
                             <textarea class="tb-input edit-area">{{modMacroText}}</textarea><br/>
+                            <div class="tb-macro-preview"></div>
                             <input type="text" class="macro-title tb-input" name="macro-title" placeholder="macro title" value="{{modMacroTitle}}" /><br>
+                            <input type="text" class="macro-hotkey tb-input" name="macro-hotkey" placeholder="keyboard shortcut, press it here (e.g. alt+1)" value="{{modMacroHotkey}}" readonly /><br>
                             <div class="tb-macro-actions">
                                 <div class="tb-macro-actions-row">
                                     <h2>Reply</h2>
@@ -705,7 +1129,9 @@ function tbconfig () {
                                     <h2>User</h2>
                                     <label><input type="checkbox" class="{{i}}-banuser" id="banuser">ban user</label>
                                     <label><input type="checkbox" class="{{i}}-muteuser" id="muteuser">mute user</label>
+                                    <label><input type="checkbox" class="{{i}}-approveuser" id="approveuser">add as approved submitter</label>
                                 </div>
+                                ${macroStepsHTML()}
                             </div>
                             <input type="text" class="tb-input" name="edit-note" placeholder="reason for wiki edit (optional)" /><br>
                             <input class="save-edit-macro tb-action-button" type="button" value="Save macro" /><input class="cancel-edit-macro tb-action-button" type="button" value="Cancel editing macro" />
@@ -717,8 +1143,9 @@ function tbconfig () {
                         i,
                         subreddit,
                         label,
-                        modMacroText,
+                        modMacroText: TBHelpers.escapeHTML(modMacroText),
                         modMacroTitle,
+                        modMacroHotkey: macro.hotkey || '',
                     });
 
                     const $removalReasonsList = $body.find('.edit_mod_macros #tb-mod-macros-list');
@@ -734,6 +1161,8 @@ function tbconfig () {
                     $(`.${i}-sticky`).prop('checked', macro.sticky);
                     $(`.${i}-archivemodmail`).prop('checked', macro.archivemodmail);
                     $(`.${i}-highlightmodmail`).prop('checked', macro.highlightmodmail);
+                    $(`.${i}-approveuser`).prop('checked', macro.approveuser);
+                    showMacroSteps($removalReasonsList.find('tr.mod-macro').last(), macro);
                 });
             }
         }
@@ -817,6 +1246,8 @@ function tbconfig () {
 
         // toolbox config FORM tab save
         $body.on('click', '.save-removal-settings', () => {
+            const languages = reasonLanguages($('.tb-config .languages').val()),
+                  defaultLanguage = $('.tb-config .default-language').val().trim();
             config.removalReasons = {
                 pmsubject: $('.pmsubject').val(),
                 logreason: $('.logreason').val(),
@@ -828,10 +1259,22 @@ function tbconfig () {
                 getfrom: $('.getfrom').val(),
                 reasons: config.removalReasons.reasons || [],
             };
+            if (languages.length) {
+                config.removalReasons.languages = languages;
+                config.removalReasons.headerTranslations = readHeaderTranslations('header');
+                config.removalReasons.footerTranslations = readHeaderTranslations('footer');
+            }
+            if (defaultLanguage) {
+                config.removalReasons.defaultLanguage = defaultLanguage;
+            }
 
             postToWiki('toolbox', config, 'updated removal reason settings', true);
             // Let people know that settings are saved.
             TB.ui.textFeedback('Removal reasons settings are saved', TB.ui.FEEDBACK_POSITIVE);
+
+            // The reasons need columns for the new languages.
+            $body.find('#tb-removal-reasons-list').empty();
+            $body.find('.tb-window-tabs .edit_removal_reasons').removeClass('content-populated');
         });
 
         // Usernote types tab
@@ -859,7 +1302,7 @@ function tbconfig () {
         });
 
         $body.on('click', '#add-usernote-type', () => {
-            appendUsernoteType('', '', 'ALICEBLUE');
+            appendUsernoteType('', '', 'ALICEBLUE', '');
         });
 
         $body.on('keyup', '#tb-config-usernote-type-list .name', function () {
@@ -882,6 +1325,23 @@ function tbconfig () {
             }
         });
 
+        $body.on('click', '#add-escalation-step', () => {
+            appendEscalationStep({});
+        });
+
+        $body.on('click', '.remove-escalation-step', function () {
+            $(this).closest('tr').remove();
+            numberEscalationSteps();
+        });
+
+        $body.on('focus', '#tb-config-escalation-step-list .step-type', function () {
+            updateEscalationTypes($(this).closest('.escalation-step'));
+        });
+
+        $body.on('change', '#tb-config-escalation-step-list .step-ban', function () {
+            $(this).closest('.escalation-step').find('.step-days').toggle($(this).val() === 'temporary');
+        });
+
         $body.on('click', '.remove-usernote-type', function () {
             $(this).closest('tr').remove();
         });
@@ -912,13 +1372,28 @@ function tbconfig () {
             }
         });
 
+        // Empty means "keep forever", anything else has to be a positive number of days.
+        function isValidRetention ($input) {
+            const value = $input.val();
+            if (value && !/^[1-9]\d*$/.test(value)) {
+                $input.addClass('error');
+                return false;
+            }
+            return true;
+        }
+
         $body.on('click', '#save-usernote-types', () => {
             self.log('Saving usernote types');
 
-            const $rows = $('#tb-config-usernote-type-list').find('.usernote-type');
+            const $rows = $('#tb-config-usernote-type-list').find('.usernote-type'),
+                  $noneRetention = $('#tb-config-usernote-retention-none .retention'),
+                  $getfrom = $('#tb-config-usernotes-getfrom .getfrom'),
+                  getfrom = TBHelpers.cleanSubredditName($getfrom.val());
             self.log(`  Num types: ${$rows.length}`);
             $rows.find('input').removeClass('error');
             $rows.find('.usernote-error').text('');
+            $noneRetention.removeClass('error');
+            $getfrom.removeClass('error');
 
             // Validate
             self.log('  Validating type settings');
@@ -959,6 +1434,37 @@ function tbconfig () {
                 } else {
                     seenKeys.push(key);
                 }
+
+                // Retention has to be a whole number of days
+                if (!isValidRetention($row.find('.retention'))) {
+                    $error.text('Retention must be a whole number of days.');
+                    error = true;
+                }
+            });
+            if (!isValidRetention($noneRetention)) {
+                error = true;
+            }
+            if (getfrom.toLowerCase() === subreddit.toLowerCase()) {
+                $getfrom.addClass('error');
+                error = true;
+            }
+
+            const $steps = $('#tb-config-escalation-step-list').find('.escalation-step');
+            $steps.find('input').removeClass('error');
+            $steps.find('.escalation-error').text('');
+            $steps.each(function () {
+                const $step = $(this),
+                      $days = $step.find('.step-days');
+
+                if (seenKeys.indexOf($step.find('.step-type').val()) === -1) {
+                    $step.find('.escalation-error').text('Pick one of the user note types above.');
+                    error = true;
+                }
+                if ($step.find('.step-ban').val() === 'temporary' && !/^[1-9]\d*$/.test($days.val())) {
+                    $days.addClass('error');
+                    $step.find('.escalation-error').text('Temporary bans need a number of days.');
+                    error = true;
+                }
             });
             if (error) {
                 self.log('  Failed validation');
@@ -967,18 +1473,43 @@ function tbconfig () {
 
             // Update config
             config.usernoteColors = [];
+            config.usernoteRetention = {};
             $rows.each(function () {
                 const $row = $(this),
                       key = $row.find('.key').val(),
                       text = $row.find('.name').val(),
-                      color = $row.find('.color').val();
-                self.log(`  key=${key}, text="${text}", color=${color}`);
+                      color = $row.find('.color').val(),
+                      retention = $row.find('.retention').val();
+                self.log(`  key=${key}, text="${text}", color=${color}, retention=${retention}`);
 
                 config.usernoteColors.push({
                     key,
                     text,
                     color,
                 });
+
+                if (retention) {
+                    config.usernoteRetention[key] = parseInt(retention);
+                }
+            });
+            if ($noneRetention.val()) {
+                config.usernoteRetention.none = parseInt($noneRetention.val());
+            }
+
+            config.usernotesGetfrom = getfrom;
+
+            config.escalationLadder = [];
+            $steps.each(function () {
+                const $step = $(this),
+                      step = {type: $step.find('.step-type').val()},
+                      ban = $step.find('.step-ban').val();
+
+                if (ban === 'permanent') {
+                    step.banDays = 'permanent';
+                } else if (ban === 'temporary') {
+                    step.banDays = parseInt($step.find('.step-days').val());
+                }
+                config.escalationLadder.push(step);
             });
 
             // Save config
@@ -1030,6 +1561,10 @@ function tbconfig () {
             $removalContent.find('input[name=removal-title]').val(config.removalReasons.reasons[reasonsNum].title || '');
             $removalContent.find('input[name=flair-text]').val(config.removalReasons.reasons[reasonsNum].flairText || '');
             $removalContent.find('input[name=flair-css]').val(config.removalReasons.reasons[reasonsNum].flairCSS || '');
+            $removalContent.find('select[name=removal-rule]').val(config.removalReasons.reasons[reasonsNum].rule || '');
+            $removalContent.find('select[name=removal-usernote]').val((config.removalReasons.reasons[reasonsNum].usernote || {}).type || '');
+            $removalContent.find('input[name=usernote-text]').val((config.removalReasons.reasons[reasonsNum].usernote || {}).text || '');
+            showReasonTranslations($removalContent, config.removalReasons.reasons[reasonsNum].translations);
             $removalContent.find('input[name=edit-note]').val('');
 
             $removalContent.find('.removal-reason-label').show();
@@ -1044,7 +1579,10 @@ function tbconfig () {
                   reasonText = $removalContent.find('.edit-area').val(),
                   reasonTitle = $removalContent.find('input[name=removal-title]').val(),
                   reasonFlairText = $removalContent.find('input[name=flair-text]').val(),
-                  reasonFlairCSS = $removalContent.find('input[name=flair-css]').val();
+                  reasonFlairCSS = $removalContent.find('input[name=flair-css]').val(),
+                  reasonRule = $removalContent.find('select[name=removal-rule]').val(),
+                  reasonUsernote = readReasonUsernote($removalContent),
+                  reasonTranslations = readReasonTranslations($removalContent);
             let editNote = $removalContent.find('input[name=edit-note]').val();
 
             if (!editNote) {
@@ -1057,6 +1595,23 @@ function tbconfig () {
             config.removalReasons.reasons[reasonsNum].flairText = reasonFlairText;
             config.removalReasons.reasons[reasonsNum].flairCSS = reasonFlairCSS;
             config.removalReasons.reasons[reasonsNum].title = reasonTitle;
+            if (reasonRule) {
+                config.removalReasons.reasons[reasonsNum].rule = reasonRule;
+            } else {
+                delete config.removalReasons.reasons[reasonsNum].rule;
+            }
+            $removalContent.find('select[name=removal-rule]').attr('data-rule', reasonRule);
+            if (reasonUsernote) {
+                config.removalReasons.reasons[reasonsNum].usernote = reasonUsernote;
+            } else {
+                delete config.removalReasons.reasons[reasonsNum].usernote;
+            }
+            $removalContent.find('select[name=removal-usernote]').attr('data-usernote', reasonUsernote ? reasonUsernote.type : '');
+            if (Object.keys(reasonTranslations).length) {
+                config.removalReasons.reasons[reasonsNum].translations = reasonTranslations;
+            } else {
+                delete config.removalReasons.reasons[reasonsNum].translations;
+            }
 
             postToWiki('toolbox', config, editNote, true);
 
@@ -1071,7 +1626,7 @@ function tbconfig () {
             }
 
             const $removalReasonLabel = $removalContent.find('.removal-reason-label');
-            $removalReasonLabel.html(TBStorage.purify(`<span><h3 class="removal-title">${TBHelpers.htmlEncode(reasonTitle)}</h3>${label}</span>`));
+            $removalReasonLabel.html(TBStorage.purify(`<span><h3 class="removal-title">${TBHelpers.htmlEncode(reasonTitle)}</h3>${ruleLabel(reasonRule)}${label}</span>`));
 
             $removalReasonLabel.show();
             $removalContent.find('.removal-reason-edit').hide();
@@ -1124,7 +1679,10 @@ function tbconfig () {
             const reasonText = $body.find('#tb-add-removal-reason-form .edit-area').val(),
                   reasonTitle = $body.find('#tb-add-removal-reason-form input[name=removal-title]').val(),
                   reasonFlairText = $body.find('#tb-add-removal-reason-form input[name=flair-text]').val(),
-                  reasonFlairCSS = $body.find('#tb-add-removal-reason-form input[name=flair-css]').val();
+                  reasonFlairCSS = $body.find('#tb-add-removal-reason-form input[name=flair-css]').val(),
+                  reasonRule = $body.find('#tb-add-removal-reason-form select[name=removal-rule]').val(),
+                  reasonUsernote = readReasonUsernote($body.find('#tb-add-removal-reason-form')),
+                  reasonTranslations = readReasonTranslations($body.find('#tb-add-removal-reason-form'));
             let editNote = $body.find('#tb-add-removal-reason-form input[name=edit-note]').val();
 
             editNote = `create new reason${editNote ? `, ${editNote}` : ''}`;
@@ -1136,6 +1694,15 @@ function tbconfig () {
             reason.flairText = reasonFlairText;
             reason.flairCSS = reasonFlairCSS;
             reason.title = reasonTitle;
+            if (reasonRule) {
+                reason.rule = reasonRule;
+            }
+            if (reasonUsernote) {
+                reason.usernote = reasonUsernote;
+            }
+            if (Object.keys(reasonTranslations).length) {
+                reason.translations = reasonTranslations;
+            }
 
             if (!config.removalReasons) {
                 config.removalReasons = {
@@ -1158,6 +1725,10 @@ function tbconfig () {
             $body.find('#tb-add-removal-reason-form input[name=removal-title]').val('');
             $body.find('#tb-add-removal-reason-form input[name=flair-text]').val('');
             $body.find('#tb-add-removal-reason-form input[name=flair-css]').val('');
+            $body.find('#tb-add-removal-reason-form select[name=removal-rule]').val('');
+            $body.find('#tb-add-removal-reason-form select[name=removal-usernote]').val('');
+            $body.find('#tb-add-removal-reason-form input[name=usernote-text]').val('');
+            showReasonTranslations($body.find('#tb-add-removal-reason-form'), {});
             $body.find('#tb-add-removal-reason-form input[name=edit-note]').val('');
         });
 
@@ -1169,9 +1740,27 @@ function tbconfig () {
             $body.find('#tb-add-removal-reason-form input[name=removal-title]').val('');
             $body.find('#tb-add-removal-reason-form input[name=flair-text]').val('');
             $body.find('#tb-add-removal-reason-form input[name=flair-css]').val('');
+            $body.find('#tb-add-removal-reason-form select[name=removal-rule]').val('');
+            $body.find('#tb-add-removal-reason-form select[name=removal-usernote]').val('');
+            $body.find('#tb-add-removal-reason-form input[name=usernote-text]').val('');
+            showReasonTranslations($body.find('#tb-add-removal-reason-form'), {});
             $body.find('#tb-add-removal-reason-form input[name=edit-note]').val('');
         });
 
+        // Publish the current mod's removal reason usage for the other mods.
+        $body.on('click', '#tb-publish-reason-usage', () => {
+            TB.ui.textFeedback('publishing removal reason usage', TB.ui.FEEDBACK_NEUTRAL);
+            TB.modules.RReasons.publishReasonUsage(subreddit, success => {
+                if (!success) {
+                    TB.ui.textFeedback('Removal reason usage not published!', TB.ui.FEEDBACK_NEGATIVE);
+                    return;
+                }
+                TB.ui.textFeedback('removal reason usage published', TB.ui.FEEDBACK_POSITIVE);
+                publishedReasonUsage = null;
+                showReasonUsage();
+            });
+        });
+
         // Removal reasons sorting tab
         $body.on('click', '.tb-window-tabs .sort_removal_reasons', function () {
             const $this = $(this);
@@ -1241,6 +1830,15 @@ function tbconfig () {
             }
         });
 
+        // Put the most used removal reasons on top, reasons used equally often keep their order.
+        $body.on('click', '.tb-sort-removal-usage', () => {
+            const uses = sortReasons.map(reason => reasonUsageCounts(reason).team.count),
+                  order = sortReasons.map((reason, index) => index).sort((a, b) => uses[b] - uses[a] || a - b);
+
+            sortReasons = order.map(index => sortReasons[index]);
+            showSortReasons();
+        });
+
         // Save the new order of removal reasons.
         $body.on('click', '.save-removal-sorting', () => {
         // Overwrite the removal reasons
@@ -1280,12 +1878,29 @@ function tbconfig () {
 
         // mod macros interaction and related functions
 
+        // Shows the fields of a macro being edited the way the macro popup shows them.
+        function showMacroPreview ($form) {
+            const text = $form.find('.edit-area').val(),
+                  $preview = $form.find('.tb-macro-preview');
+
+            if (!TB.modules.ModMacros.hasFields(text)) {
+                $preview.hide().empty();
+                return;
+            }
+            $preview.html(TBStorage.purify(`<h2>Preview of the fields</h2>${TB.modules.ModMacros.renderMacro(text)}`)).show();
+        }
+
+        $body.on('input', '#tb-add-mod-macro-form .edit-area, .mod-macro-edit .edit-area', function () {
+            showMacroPreview($(this).closest('#tb-add-mod-macro-form, .mod-macro-edit'));
+        });
+
         // editing of reasons
         $body.on('click', '.mod-macros-buttons .edit', function () {
             const $this = $(this);
 
             $this.closest('tr.mod-macro').find('.mod-macro-label').hide();
             $this.closest('tr.mod-macro').find('.mod-macro-edit').show();
+            showMacroPreview($this.closest('tr.mod-macro').find('.mod-macro-edit'));
         });
 
         // cancel
@@ -1297,6 +1912,7 @@ function tbconfig () {
 
             $macroContent.find('.edit-area').val(unescape(macro.text) || '<span style="color: #cecece">(no macro)</span>');
             $macroContent.find('input[name=macro-title]').val(macro.title || '');
+            $macroContent.find('input[name=macro-hotkey]').val(macro.hotkey || '');
             $macroContent.find('#distinguish').prop('checked', macro.distinguish);
             $macroContent.find('#banuser').prop('checked', macro.ban);
             $macroContent.find('#muteuser').prop('checked', macro.mute);
@@ -1308,12 +1924,48 @@ function tbconfig () {
             $macroContent.find('#sticky').prop('checked', macro.sticky);
             $macroContent.find('#archivemodmail').prop('checked', macro.archivemodmail);
             $macroContent.find('#highlightmodmail').prop('checked', macro.highlightmodmail);
+            $macroContent.find('#approveuser').prop('checked', macro.approveuser);
+            showMacroSteps($macroContent, macro);
             $macroContent.find('input[name=edit-note]').val('');
+            showMacroPreview($macroContent.find('.mod-macro-edit'));
 
             $macroContent.find('.mod-macro-label').show();
             $macroContent.find('.mod-macro-edit').hide();
         });
 
+        // Shortcuts are recorded by pressing them, backspace or delete clears the shortcut.
+        $body.on('keydown', 'input[name=macro-hotkey]', function (event) {
+            const $this = $(this);
+
+            if (event.key === 'Tab') {
+                return;
+            }
+            event.preventDefault();
+
+            if (event.key === 'Backspace' || event.key === 'Delete') {
+                $this.val('');
+                return;
+            }
+
+            const chord = TB.modules.ModMacros.keyChord(event.originalEvent);
+            if (chord) {
+                $this.val(chord);
+            }
+        });
+
+        // Whether a shortcut is already used by another macro of the subreddit.
+        function macroHotkeyTaken (hotkey, macroNum) {
+            return !!hotkey && (config.modMacros || []).some((macro, i) => macro.hotkey === hotkey && String(i) !== macroNum);
+        }
+
+        function setMacroHotkey (macro, hotkey) {
+            if (hotkey) {
+                macro.hotkey = hotkey;
+            } else {
+                delete macro.hotkey;
+            }
+        }
+
         // save
         $body.on('click', '.mod-macro-edit .save-edit-macro', function () {
             const $this = $(this),
@@ -1321,6 +1973,7 @@ function tbconfig () {
                   macroNum = $macroContent.attr('data-macro'),
                   macroText = $macroContent.find('.edit-area').val(),
                   macroTitle = $macroContent.find('input[name=macro-title]').val(),
+                  macroHotkey = $macroContent.find('input[name=macro-hotkey]').val(),
                   distinguish = $macroContent.find('#distinguish').prop('checked'),
                   banuser = $macroContent.find('#banuser').prop('checked'),
                   muteuser = $macroContent.find('#muteuser').prop('checked'),
@@ -1339,6 +1992,11 @@ function tbconfig () {
                 return;
             }
 
+            if (macroHotkeyTaken(macroHotkey, macroNum)) {
+                TB.ui.textFeedback(`Another macro already uses ${macroHotkey}`, TB.ui.FEEDBACK_NEGATIVE);
+                return;
+            }
+
             if (!editNote) {
             // default note
                 editNote = 'update';
@@ -1347,6 +2005,7 @@ function tbconfig () {
 
             macro.text = escape(macroText);
             macro.title = macroTitle;
+            setMacroHotkey(macro, macroHotkey);
             macro.distinguish = distinguish;
             macro.ban = banuser;
             macro.mute = muteuser;
@@ -1358,6 +2017,7 @@ function tbconfig () {
             macro.sticky = sticky;
             macro.archivemodmail = archivemodmail;
             macro.highlightmodmail = highlightmodmail;
+            readMacroSteps($macroContent, macro);
 
             postToWiki('toolbox', config, editNote, true);
 
@@ -1419,12 +2079,14 @@ function tbconfig () {
         $body.on('click', '#tb-add-mod-macro', function () {
             $(this).hide();
             $body.find('#tb-add-mod-macro-form').show();
+            showMacroSteps($body.find('#tb-add-mod-macro-form'), {});
         });
 
         // Save new macro
         $body.on('click', '#tb-add-mod-macro-form .save-new-macro', () => {
             const macroText = $body.find('#tb-add-mod-macro-form .edit-area').val(),
                   macroTitle = $body.find('#tb-add-mod-macro-form input[name=macro-title]').val(),
+                  macroHotkey = $body.find('#tb-add-mod-macro-form input[name=macro-hotkey]').val(),
                   distinguish = $body.find('#distinguish').prop('checked'),
                   banuser = $body.find('#banuser').prop('checked'),
                   muteuser = $body.find('#muteuser').prop('checked'),
@@ -1442,6 +2104,11 @@ function tbconfig () {
                 return;
             }
 
+            if (macroHotkeyTaken(macroHotkey)) {
+                TB.ui.textFeedback(`Another macro already uses ${macroHotkey}`, TB.ui.FEEDBACK_NEGATIVE);
+                return;
+            }
+
             editNote = `create new macro ${editNote ? `, ${editNote}` : ''}`;
 
             const macro = {
@@ -1449,6 +2116,7 @@ function tbconfig () {
             };
 
             macro.title = macroTitle;
+            setMacroHotkey(macro, macroHotkey);
             macro.distinguish = distinguish;
             macro.ban = banuser;
             macro.mute = muteuser;
@@ -1460,6 +2128,7 @@ function tbconfig () {
             macro.sticky = sticky;
             macro.archivemodmail = archivemodmail;
             macro.highlightmodmail = highlightmodmail;
+            readMacroSteps($body.find('#tb-add-mod-macro-form'), macro);
 
             if (!config.modMacros) {
                 config.modMacros = [];
@@ -1475,7 +2144,9 @@ function tbconfig () {
             $body.find('#tb-add-mod-macro').show();
             $body.find('#tb-add-mod-macro-form').hide();
             $body.find('#tb-add-mod-macro-form .edit-area').val('');
+            showMacroPreview($body.find('#tb-add-mod-macro-form'));
             $body.find('#tb-add-mod-macro-form input[name=macro-title]').val('');
+            $body.find('#tb-add-mod-macro-form input[name=macro-hotkey]').val('');
             $body.find('#tb-add-mod-macro-form input[name=edit-note]').val('');
             $body.find('#distinguish').prop('checked', false);
             $body.find('#banuser').prop('checked', false);
@@ -1487,6 +2158,8 @@ function tbconfig () {
             $body.find('#sticky').prop('checked', false);
             $body.find('#archivemodmail').prop('checked', false);
             $body.find('#highlightmodmail').prop('checked', false);
+            $body.find('#tb-add-mod-macro-form #approveuser').prop('checked', false);
+            showMacroSteps($body.find('#tb-add-mod-macro-form'), {});
         });
 
         // cancel
@@ -1494,7 +2167,9 @@ function tbconfig () {
             $body.find('#tb-add-mod-macro').show();
             $body.find('#tb-add-mod-macro-form').hide();
             $body.find('#tb-add-mod-macro-form .edit-area').val('');
+            showMacroPreview($body.find('#tb-add-mod-macro-form'));
             $body.find('#tb-add-mod-macro-form input[name=macro-title]').val('');
+            $body.find('#tb-add-mod-macro-form input[name=macro-hotkey]').val('');
             $body.find('#tb-add-mod-macro-form input[name=edit-note]').val('');
             $body.find('#distinguish').prop('checked', false);
             $body.find('#banuser').prop('checked', false);
@@ -1506,6 +2181,248 @@ function tbconfig () {
             $body.find('#sticky').prop('checked', false);
             $body.find('#archivemodmail').prop('checked', false);
             $body.find('#highlightmodmail').prop('checked', false);
+            $body.find('#tb-add-mod-macro-form #approveuser').prop('checked', false);
+            showMacroSteps($body.find('#tb-add-mod-macro-form'), {});
+        });
+
+        // The parts of the toolbox config that can be compared between subreddits, and how their entries are told apart.
+        const syncSections = [
+            {
+                name: 'removal reason',
+                read: config => config.removalReasons && config.removalReasons.reasons || [],
+                write: (config, entries) => {
+                    config.removalReasons = config.removalReasons || {};
+                    config.removalReasons.reasons = entries;
+                },
+                key: reason => TB.modules.RReasons.reasonUsageKey(reason),
+            },
+            {
+                name: 'mod macro',
+                read: config => config.modMacros || [],
+                write: (config, entries) => {
+                    config.modMacros = entries;
+                },
+                key: macro => macro.title || unescape(macro.text || '').substr(0, 100),
+            },
+            {
+                name: 'user note type',
+                // Subreddits without types of their own use the default ones, so copying a type to them keeps those.
+                read: config => config.usernoteColors && config.usernoteColors.length ? config.usernoteColors : TBCore.defaultUsernoteTypes,
+                write: (config, entries) => {
+                    config.usernoteColors = entries;
+                },
+                key: type => type.key,
+            },
+        ];
+
+        function syncEntry (section, sub, key) {
+            return section.read(syncConfigs[sub].config).find(entry => section.key(entry) === key);
+        }
+
+        // Reads the toolbox config of every subreddit to compare, remembering the revision so copies don't overwrite later edits.
+        function compareSubreddits (subreddits, errors = []) {
+            $body.find('.tb-config-sync-results').text('loading...');
+            syncConfigs = {};
+
+            Promise.all(subreddits.map(sub => new Promise(resolve => {
+                TBApi.readFromWiki(sub, 'toolbox', true, (resp, revision) => {
+                    if (!resp || resp === TBCore.WIKI_PAGE_UNKNOWN || resp === TBCore.NO_WIKI_PAGE) {
+                        resolve(`/r/${sub} has no toolbox config that can be read.`);
+                        return;
+                    }
+                    TBStorage.purifyObject(resp);
+                    if (!TBCore.isConfigValidVersion(sub, resp)) {
+                        resolve(`/r/${sub} has a toolbox config this version of toolbox can't edit.`);
+                        return;
+                    }
+                    syncConfigs[sub] = {config: resp, revision};
+                    resolve();
+                });
+            }))).then(readErrors => {
+                showSyncResults(subreddits, errors.concat(readErrors.filter(Boolean)));
+            });
+        }
+
+        // Lists the entries of each section that aren't the same in all compared subreddits.
+        function showSyncResults (subreddits, errors) {
+            const $results = $body.find('.tb-config-sync-results').empty(),
+                  compared = subreddits.filter(sub => syncConfigs[sub]);
+
+            errors.forEach(error => {
+                $('<p class="error">').text(error).appendTo($results);
+            });
+            if (compared.length < 2) {
+                return;
+            }
+
+            syncSections.forEach((section, sectionIndex) => {
+                const keys = [];
+                compared.forEach(sub => {
+                    section.read(syncConfigs[sub].config).forEach(entry => {
+                        const key = section.key(entry);
+                        if (!keys.includes(key)) {
+                            keys.push(key);
+                        }
+                    });
+                });
+                const differing = keys.filter(key => {
+                    const versions = compared.map(sub => JSON.stringify(syncEntry(section, sub, key)));
+                    return versions.some(version => version !== versions[0]);
+                });
+
+                $('<h2>').text(`${section.name}s: ${differing.length} of ${keys.length} differ`).appendTo($results);
+                if (!differing.length) {
+                    return;
+                }
+
+                const $table = $('<table class="tb-config-sync-table"><tr><th></th></tr></table>').appendTo($results);
+                compared.forEach(sub => {
+                    $('<th>').text(`/r/${sub}`).appendTo($table.find('tr'));
+                });
+                differing.forEach(key => {
+                    const $row = $('<tr class="tb-config-sync-entry">').data({section: sectionIndex, key, compared});
+                    $('<td class="tb-config-sync-key">').text(key).appendTo($row);
+                    compared.forEach(sub => {
+                        $('<td class="tb-config-sync-cell">').attr('data-subreddit', sub).appendTo($row);
+                    });
+                    $table.append($row);
+                    showSyncEntry($row);
+                });
+            });
+        }
+
+        // Shows how an entry differs from its version in the subreddit it would be copied from.
+        function showSyncEntry ($row) {
+            const section = syncSections[$row.data('section')],
+                  key = $row.data('key'),
+                  compared = $row.data('compared'),
+                  source = $row.data('source') || [subreddit].concat(compared).find(sub => syncEntry(section, sub, key)),
+                  sourceEntry = syncEntry(section, source, key),
+                  radioName = `sync-source-${$row.index()}-${$row.data('section')}`;
+
+            $row.data('source', source);
+            $row.find('.tb-config-sync-cell').each(function () {
+                const $cell = $(this).empty(),
+                      sub = $cell.attr('data-subreddit'),
+                      entry = syncEntry(section, sub, key);
+
+                if (entry) {
+                    const $source = $('<label><input type="radio" class="sync-source"> copy from here</label>').appendTo($cell);
+                    $source.find('input').attr('name', radioName).prop('checked', sub === source);
+                }
+                if (sub === source) {
+                    return;
+                }
+
+                let status = 'missing';
+                if (entry) {
+                    const changed = Object.keys(Object.assign({}, entry, sourceEntry)).filter(field => JSON.stringify(entry[field]) !== JSON.stringify(sourceEntry[field]));
+                    status = changed.length ? `different: ${changed.join(', ')}` : 'same';
+                }
+                $('<div class="tb-config-sync-status">').text(status).appendTo($cell);
+                if (status !== 'same') {
+                    $cell.append('<label><input type="checkbox" class="sync-copy-entry"> copy here</label>');
+                }
+            });
+        }
+
+        function syncEditReason (copies) {
+            const counts = syncSections.map(section => {
+                const count = copies.filter(copy => copy.section === section).length;
+                return count ? `${count} ${section.name}${count === 1 ? '' : 's'}` : '';
+            }).filter(Boolean);
+            const sources = copies.map(copy => `/r/${copy.source}`).filter((source, index, sources) => sources.indexOf(source) === index);
+            return `copy ${counts.join(', ')} from ${sources.join(', ')}`;
+        }
+
+        // Makes the tabs that show the removal reasons, mod macros and user note types of this subreddit show them again.
+        function resetSyncedTabs () {
+            $body.find('#tb-removal-reasons-list, #tb-mod-macros-list, #tb-config-usernote-type-list, #tb-config-escalation-step-list').empty();
+            $body.find('.tb-window-tabs .edit_removal_reasons, .tb-window-tabs .edit_mod_macros, .tb-window-tabs .edit_user_note_types').removeClass('content-populated');
+        }
+
+        $body.on('click', '.tb-config .sync-compare', () => {
+            const others = [],
+                  errors = [];
+
+            $body.find('.tb-config .sync-subreddits').val().split(',').forEach(name => {
+                name = name.trim().replace(/^\/?r\//, '');
+                const sub = TBCore.mySubs.find(mySub => mySub.toLowerCase() === name.toLowerCase());
+                if (!name || sub && sub.toLowerCase() === subreddit.toLowerCase() || others.includes(sub)) {
+                    return;
+                }
+                if (sub) {
+                    others.push(sub);
+                } else {
+                    errors.push(`You don't moderate /r/${name}.`);
+                }
+            });
+
+            syncSubreddits = [subreddit].concat(others);
+            compareSubreddits(syncSubreddits, errors);
+        });
+
+        $body.on('change', '.tb-config-sync-entry .sync-source', function () {
+            const $row = $(this).closest('.tb-config-sync-entry');
+            $row.data('source', $(this).closest('.tb-config-sync-cell').attr('data-subreddit'));
+            showSyncEntry($row);
+        });
+
+        // Copy the selected entries, with one edit per subreddit they are copied to.
+        $body.on('click', '.tb-config .sync-copy', () => {
+            const copies = {};
+            $body.find('.tb-config-sync-entry').each(function () {
+                const $row = $(this);
+                $row.find('.sync-copy-entry:checked').each(function () {
+                    const target = $(this).closest('.tb-config-sync-cell').attr('data-subreddit');
+                    copies[target] = (copies[target] || []).concat({
+                        section: syncSections[$row.data('section')],
+                        key: $row.data('key'),
+                        source: $row.data('source'),
+                    });
+                });
+            });
+
+            const targets = Object.keys(copies);
+            if (!targets.length) {
+                TB.ui.textFeedback('No entries selected to copy.', TB.ui.FEEDBACK_NEGATIVE);
+                return;
+            }
+
+            TB.ui.textFeedback('saving to wiki', TB.ui.FEEDBACK_NEUTRAL);
+            Promise.all(targets.map(target => new Promise(resolve => {
+                const targetConfig = JSON.parse(JSON.stringify(syncConfigs[target].config));
+
+                copies[target].forEach(({section, key, source}) => {
+                    const entries = section.read(targetConfig).slice(),
+                          entry = JSON.parse(JSON.stringify(syncEntry(section, source, key))),
+                          index = entries.findIndex(existing => section.key(existing) === key);
+                    if (index >= 0) {
+                        entries[index] = entry;
+                    } else {
+                        entries.push(entry);
+                    }
+                    section.write(targetConfig, entries);
+                });
+
+                TBApi.postToWiki('toolbox', target, targetConfig, syncEditReason(copies[target]), true, false, (success, jqXHR) => {
+                    if (!success) {
+                        // The page was edited after it was compared.
+                        resolve(`/r/${target} was not saved${jqXHR && jqXHR.status === 409 ? ', it was changed since it was compared' : ''}.`);
+                        return;
+                    }
+                    if (target === subreddit) {
+                        config = targetConfig;
+                        resetSyncedTabs();
+                    }
+                    resolve();
+                }, syncConfigs[target].revision);
+            }))).then(errors => {
+                errors = errors.filter(Boolean);
+                TBCore.clearCache();
+                TB.ui.textFeedback(errors.length ? 'Not all entries were copied!' : 'entries copied', errors.length ? TB.ui.FEEDBACK_NEGATIVE : TB.ui.FEEDBACK_POSITIVE);
+                compareSubreddits(syncSubreddits, errors);
+            });
         });
 
         // When the import button is clicked on the domain tags thing.
@@ -67,7 +67,7 @@ function modmacros () {
                             .append($('<option>', {
                                 value: idx,
                             })
-                                .text(item.title));
+                                .text(item.hotkey ? `${item.title} (${item.hotkey})` : item.title));
                     });
                 } else {
                     self.log('removing select');
@@ -165,6 +165,7 @@ function modmacros () {
 
                     populateSelect('.tb-macro-select', info.subreddit, config);
                 }
+                updateShortcutsTrigger(info.subreddit, success && config);
             });
         }
         setTimeout(() => {
@@ -230,6 +231,114 @@ function modmacros () {
             }
         });
 
+        // Only subreddits with macro shortcuts get the cheat sheet in the context menu.
+        function updateShortcutsTrigger (subreddit, config) {
+            if (config && config.some(macro => macro.hotkey)) {
+                TBui.contextTrigger('tb-macro-shortcuts', {
+                    addTrigger: true,
+                    triggerText: 'macro shortcuts',
+                    triggerIcon: TBui.icons.keyboard,
+                    title: `mod macro keyboard shortcuts for /r/${subreddit}`,
+                    dataAttributes: {
+                        subreddit,
+                    },
+                });
+            } else {
+                TBui.contextTrigger('tb-macro-shortcuts', {addTrigger: false});
+            }
+        }
+
+        window.addEventListener('TBNewPage', event => {
+            const subreddit = event.detail.pageDetails.subreddit;
+
+            if (!subreddit) {
+                if (!TBCore.isNewModmail) {
+                    updateShortcutsTrigger();
+                }
+                return;
+            }
+
+            TBCore.getModSubs(() => {
+                if (TBCore.modsSub(subreddit)) {
+                    getConfig(subreddit, (success, config) => {
+                        updateShortcutsTrigger(subreddit, success && config);
+                    });
+                } else {
+                    updateShortcutsTrigger();
+                }
+            });
+        });
+
+        // The cheat sheet of the macro shortcuts of a subreddit.
+        $body.on('click', '#tb-macro-shortcuts', function () {
+            const subreddit = $(this).attr('data-subreddit');
+
+            getConfig(subreddit, (success, config) => {
+                const macros = success ? config.filter(macro => macro.hotkey) : [];
+                let rows = '';
+
+                macros.forEach(macro => {
+                    rows += `<tr><td><kbd>${TBHelpers.htmlEncode(macro.hotkey)}</kbd></td><td>${TBHelpers.htmlEncode(macro.title)}</td></tr>`;
+                });
+
+                $body.find('.tb-macro-shortcuts').remove();
+                TB.ui.overlay(
+                    `Mod macro shortcuts for /r/${subreddit}`,
+                    [
+                        {
+                            title: 'Macro shortcuts',
+                            tooltip: 'Keyboard shortcuts of the mod macros.',
+                            content: `
+                                <p>Press a shortcut while writing a reply or reading a modmail thread to open its macro.</p>
+                                <table class="tb-macro-shortcuts-table">${rows || '<tr><td>No macro shortcuts set up.</td></tr>'}</table>`,
+                            footer: '',
+                        },
+                    ],
+                    [], // extra header buttons
+                    'tb-macro-shortcuts', // class
+                    false // single overriding footer
+                ).appendTo('body');
+            });
+        });
+
+        $body.on('click', '.tb-macro-shortcuts .close', () => {
+            $body.find('.tb-macro-shortcuts').remove();
+        });
+
+        // The macro dropdown a shortcut pressed in an element is for. Without one close by, the only dropdown on the page is used.
+        function shortcutMacroSelect (element) {
+            const selects = '.tb-top-macro-select, .tb-macro-select',
+                  $nearby = $(element).closest('.usertext, .Comment, .ThreadViewer').find(selects);
+
+            if ($nearby.length) {
+                return $nearby.first();
+            }
+
+            const $selects = $body.find(selects);
+            return $selects.length === 1 ? $selects : $();
+        }
+
+        $body.on('keydown', event => {
+            const chord = self.keyChord(event.originalEvent);
+
+            // Shortcuts are recorded in the config editor by pressing them.
+            if (!chord || $(event.target).is('input[name=macro-hotkey]')) {
+                return;
+            }
+
+            const $select = shortcutMacroSelect(event.target),
+                  config = TBCore.configCache[$select.attr('data-subreddit')],
+                  macros = config && config.modMacros || [],
+                  index = macros.findIndex(macro => macro.hotkey === chord);
+
+            if (index === -1 || $select.prop('disabled')) {
+                return;
+            }
+
+            event.preventDefault();
+            $select.val(index).trigger('change');
+        });
+
         // NER support.
         window.addEventListener('TBNewThings', () => {
             if (TBCore.isNewModmail) {
@@ -239,6 +348,180 @@ function modmacros () {
             }
         });
 
+        // The steps of a macro besides the reply and the moderation actions, with their tokens filled in.
+        function macroSteps (macro, info, title) {
+            const modmail = macro.modmail || {},
+                  usernote = macro.usernote || {},
+                  texts = [macro.flairText, macro.userFlairText, usernote.text, modmail.subject, unescape(modmail.text || '')],
+                  fill = text => TBHelpers.replaceTokens(info, text || '');
+
+            return {
+                flair: (macro.flairText || macro.flairCSS) && info.kind === 'submission' && !TBCore.isModmail && !TBCore.isNewModmail ? {
+                    text: fill(macro.flairText),
+                    css: macro.flairCSS || '',
+                } : null,
+                userFlair: macro.userFlairText || macro.userFlairCSS ? {
+                    text: fill(macro.userFlairText),
+                    css: macro.userFlairCSS || '',
+                } : null,
+                usernote: usernote.type ? {
+                    type: usernote.type,
+                    text: fill(usernote.text) || title,
+                } : null,
+                modmail: modmail.text ? {
+                    subject: fill(modmail.subject) || `Your ${info.kind} in /r/${info.subreddit}`,
+                    text: fill(unescape(modmail.text)),
+                } : null,
+                approveUser: !!macro.approveuser,
+                // Used to warn about unknown tokens.
+                tokenText: texts.filter(Boolean).join(' '),
+            };
+        }
+
+        function flairLabel (flair) {
+            return flair.css ? `${flair.text} (${flair.css})` : flair.text;
+        }
+
+        // Runs a step that calls back with a success boolean, only telling the mod about the ones that fail.
+        function reportFailedStep (description, run) {
+            run(successful => {
+                if (!successful) {
+                    TB.ui.textFeedback(`Failed to ${description}`, TB.ui.FEEDBACK_NEGATIVE);
+                }
+            });
+        }
+
+        // Performs the steps of a macro besides the reply and the moderation actions.
+        // Every step is handed to `runStep` with a description and a function that performs it, calling back with a success boolean.
+        function runMacroSteps (info, steps, runStep) {
+            const results = [];
+
+            if (steps.flair) {
+                results.push(runStep('flair the post', done => {
+                    TBApi.flairPost(info.id, info.subreddit, steps.flair.text, steps.flair.css, done);
+                }));
+            }
+
+            if (steps.userFlair) {
+                results.push(runStep('flair the user', done => {
+                    TBApi.flairUser(info.author, info.subreddit, steps.userFlair.text, steps.userFlair.css, done);
+                }));
+            }
+
+            if (steps.usernote) {
+                const usernotes = TB.modules.UserNotes,
+                      note = {
+                          note: steps.usernote.text,
+                          time: new Date().getTime(),
+                          mod: TBCore.logged,
+                          link: info.permalink,
+                          type: steps.usernote.type,
+                          sub: info.subreddit,
+                      };
+
+                if (!usernotes || !usernotes.setting('enabled')) {
+                    results.push(runStep('add the usernote, the usernotes module is disabled', done => {
+                        done(false);
+                    }));
+                } else {
+                    if (usernotes.setting('saveSnapshot')) {
+                        note.snapshot = usernotes._snapshotFromInfo(info);
+                    }
+                    results.push(runStep('add the usernote', done => {
+                        usernotes.addUserNotes(info.subreddit, {[info.author]: [note]}, `create new note on user ${info.author} from macro`, done);
+                    }));
+                }
+            }
+
+            if (steps.modmail) {
+                results.push(runStep('send the modmail', done => {
+                    TBApi.sendModmail(info.author, steps.modmail.subject, steps.modmail.text, info.subreddit, false, done);
+                }));
+            }
+
+            if (steps.approveUser) {
+                results.push(runStep('add the user as an approved submitter', done => {
+                    TBApi.friendUser(info.author, 'contributor', info.subreddit, '', '', null, done);
+                }));
+            }
+
+            return results;
+        }
+
+        // Performs a macro in a new modmail thread through the modmail API, listing the outcome of every step in the popup.
+        // The reply goes first and archiving last, as both replying and the other actions unarchive the thread.
+        // Calls back once every step has finished, with whether all of them succeeded.
+        function runNewModmailMacro ($popup, info, feature, reply, actions, steps, callback) {
+            const $results = $popup.find('.macro-results').empty().show();
+            let succeeded = true;
+
+            const listResult = (text, className) => {
+                $('<li>').addClass(className).text(text).appendTo($results);
+            };
+
+            // Steps run after the reply went through, so they are attributed to the macro here.
+            const runStep = (description, run) => new Promise(resolve => {
+                TBApi.auditAs(feature, () => run(successful => {
+                    succeeded = succeeded && successful;
+                    listResult(successful ? `Done: ${description}` : `Failed to ${description}`, successful ? 'macro-result-success' : 'macro-result-failure');
+                    resolve();
+                }));
+            });
+
+            TBApi.getModmailConversation(info.id, (successful, thread) => {
+                const conversation = successful && thread.conversation || {},
+                      isMuted = successful && thread.user && thread.user.muteStatus && thread.user.muteStatus.isMuted;
+
+                let replied;
+                if (isMuted) {
+                    listResult('Reply not posted because the user is muted', 'macro-result-neutral');
+                    replied = Promise.resolve();
+                } else {
+                    replied = runStep('post the reply', done => {
+                        TBApi.replyToModmail(info.id, reply, false, false, done);
+                    });
+                }
+
+                replied.then(() => {
+                    const results = [];
+
+                    if (actions.ban) {
+                        results.push(runStep('ban the user', done => {
+                            TBApi.friendUser(
+                                info.author, 'banned', info.subreddit,
+                                `Banned from: ${info.permalink}`,
+                                `For the following ${info.kind}: ${info.permalink}`,
+                                null,
+                                done
+                            );
+                        }));
+                    }
+
+                    if (actions.mute && !isMuted) {
+                        results.push(runStep('mute the user', done => {
+                            TBApi.muteModmailUser(info.id, 72, done);
+                        }));
+                    }
+
+                    if (actions.highlight && !conversation.isHighlighted) {
+                        results.push(runStep('highlight the thread', done => {
+                            TBApi.highlightModmail(info.id, done);
+                        }));
+                    }
+
+                    return Promise.all(results.concat(runMacroSteps(info, steps, runStep)));
+                }).then(() => {
+                    if (actions.archive) {
+                        return runStep('archive the thread', done => {
+                            TBApi.archiveModmail(info.id, done);
+                        });
+                    }
+                }).then(() => {
+                    callback(succeeded);
+                });
+            });
+        }
+
         function editMacro (dropdown, info, macro, topLevel) {
         // get some placement variables
             const remove = macro.remove,
@@ -302,6 +585,27 @@ function modmacros () {
                 actionList += '<br>- This user will be muted';
             }
 
+            const steps = macroSteps(macro, info, macro.title);
+            if (steps.flair) {
+                actionList += `<br>- This ${kind} will be flaired: ${TBHelpers.htmlEncode(flairLabel(steps.flair))}`;
+            }
+
+            if (steps.userFlair) {
+                actionList += `<br>- This user will be flaired: ${TBHelpers.htmlEncode(flairLabel(steps.userFlair))}`;
+            }
+
+            if (steps.usernote) {
+                actionList += `<br>- A usernote will be added: ${TBHelpers.htmlEncode(steps.usernote.text)}`;
+            }
+
+            if (steps.modmail) {
+                actionList += `<br>- A modmail will be sent to the user: ${TBHelpers.htmlEncode(steps.modmail.subject)}`;
+            }
+
+            if (steps.approveUser) {
+                actionList += '<br>- This user will be added as an approved submitter';
+            }
+
             if (TBCore.isNewModmail) {
                 if (archivemodmail) {
                     actionList += '<br>- This modmail thread will be archived.';
@@ -313,8 +617,15 @@ function modmacros () {
             }
 
             // replace token.
+            const unknownTokens = TBHelpers.unknownTokens(info, `${comment} ${steps.tokenText}`);
+            if (unknownTokens.length) {
+                actionList += `<br>- <b>Unknown tokens are left in your macro:</b> ${TBHelpers.htmlEncode(unknownTokens.map(token => `{${token}}`).join(', '))}`;
+            }
             comment = TBHelpers.replaceTokens(info, comment);
 
+            // Fields are filled in above the reply, which is written from them.
+            const hasFields = self.hasFields(comment);
+
             const offset = $usertext.offset(),
                   offsetLeft = offset.left,
                   offsetTop = offset.top,
@@ -322,7 +633,7 @@ function modmacros () {
                   editMinWidth = $usertext.outerWidth(),
                   editMinHeight = minHeight - 74;
 
-            const title = dropdown.find('option:selected').text();
+            const title = macro.title;
             self.log(title);
             const $macroPopup = TB.ui.popup({
                 title: `Mod Macro: ${title}`,
@@ -331,8 +642,10 @@ function modmacros () {
                         title: 'Mod Macro:',
                         id: `macro${info.id}`, // reddit has things with class .role, so it's easier to do this than target CSS
                         tooltip: `Mod Macro:${title}`,
-                        content: `<textarea class="tb-input macro-edit-area" data-response-id="${info.id}">${comment}</textarea><br>
-                                    <span>${actionList}</span>`,
+                        content: `${hasFields ? `<div class="macro-fields">${self.renderMacro(comment)}</div>` : ''}
+                                    <textarea class="tb-input macro-edit-area" data-response-id="${info.id}">${hasFields ? '' : comment}</textarea><br>
+                                    <span>${actionList}</span>
+                                    <ul class="macro-results"></ul>`,
                         footer: `<button class="macro-send-${info.id} tb-action-button">Post Macro</button>`,
                     },
                 ],
@@ -354,128 +667,130 @@ function modmacros () {
                 'min-width': `${editMinWidth}px`,
             });
 
+            if (hasFields) {
+                const $fields = $macroPopup.find('.macro-fields'),
+                      writeReply = () => {
+                          const values = $fields.find('select, input, textarea').map(function () {
+                              return this.value;
+                          }).get();
+                          $macroPopup.find('.macro-edit-area').val(self.fillMacroFields(comment, values));
+                      };
+
+                // Changing a field writes the reply again, so edits to the reply itself are best made last.
+                $fields.on('input change', 'select, input, textarea', writeReply);
+                writeReply();
+            }
+
             $macroPopup.on('click', `.macro-send-${info.id}`, function () {
                 const $currentMacroPopup = $(this).closest('.macro-popup'),
                       $selectElement = $body.find(`#macro-dropdown-${info.id}`),
-                      editedcomment = $currentMacroPopup.find('.macro-edit-area').val();
+                      editedcomment = $currentMacroPopup.find('.macro-edit-area').val(),
+                      feature = `macro: ${macro.title}`;
 
                 if ($selectElement.val() !== MACROS) {
                     self.log('Replying with:');
                     self.log(`  ${editedcomment}`);
 
                     // We split of new modmail from the rest of reddit because... well easier.
-                    if (TBCore.isNewModmail) {
-                        // Since we are doing things on the page that need to finish we probably should make that clear.
-                        TB.ui.longLoadSpinner(true);
-
-                        if ($('.ThreadViewer  .icon-mute').closest('.InfoBar__control').hasClass('m-on')) {
-                            TBui.textFeedback('Reply will not be posted because the user is muted.', TBui.FEEDBACK_NEUTRAL);
-                        } else {
-                            $body.find('.Textarea.ThreadViewerReplyForm__replyText ').val(editedcomment);
-                            $body.find('.ThreadViewerReplyForm__replyButton').click();
-                        }
-
-                        self.log('Performing user actions');
-
-                        if (ban) {
-                            TBApi.friendUser(
-                                info.author, 'banned', info.subreddit,
-                                `Banned from: ${info.permalink}`,
-                                `For the following ${kind}: ${info.permalink}`
-                            );
-                        }
-
-                        if (mute) {
-                        // So we don't do an api call for this.
-                            $body.find('.ThreadViewer .InfoBar__control:not(.m-on) .icon-mute').click();
-                        }
-
-                        if (highlightmodmail) {
-                            $body.find('.ThreadViewer .ThreadViewerHeader__control:not(.m-selected) .icon-flair').click();
-                        }
-
-                        if (archivemodmail) {
-                        // We wait a bit for the other actions to go through, then archive.
-                            setTimeout(() => {
-                                $body.find('.ThreadViewer .ThreadViewerHeader__control:not(.m-selected) .icon-archived').click();
-                            }, 1000);
-                        }
-
-                        // All done! Wait a bit before removing all stuff.
-                        setTimeout(() => {
-                            $currentMacroPopup.remove();
-                            $selectElement.prop('disabled', false);
-                            $selectElement.val(MACROS);
-                            TB.ui.longLoadSpinner(false);
-                        }, 1500);
-                    } else {
-                        TBApi.postComment(info.id, editedcomment, (successful, response) => {
-                            if (!successful) {
-                                TB.ui.textFeedback('Failed to post reply', TB.ui.FEEDBACK_NEGATIVE);
-                            } else {
-                                TB.ui.textFeedback('Reply posted', TB.ui.FEEDBACK_POSITIVE);
-                                $currentMacroPopup.remove();
-                                $selectElement.prop('disabled', false);
-                                if (topLevel) {
+                    // Everything the macro does is attributed to it in the audit log.
+                    TBApi.auditAs(feature, () => {
+                        if (TBCore.isNewModmail) {
+                            // Since we are doing things on the page that need to finish we probably should make that clear.
+                            TB.ui.longLoadSpinner(true);
+                            $currentMacroPopup.find(`.macro-send-${info.id}`).prop('disabled', true);
+
+                            self.log('Performing modmail actions');
+
+                            runNewModmailMacro($currentMacroPopup, info, feature, editedcomment, {
+                                ban,
+                                mute,
+                                highlight: highlightmodmail,
+                                archive: archivemodmail,
+                            }, steps, succeeded => {
+                                TB.ui.longLoadSpinner(false);
+
+                                // The popup stays open when something failed, so the mod can see what did.
+                                if (succeeded) {
+                                    TB.ui.textFeedback('Macro done, reload the thread to see the changes', TB.ui.FEEDBACK_POSITIVE);
+                                    $currentMacroPopup.remove();
+                                    $selectElement.prop('disabled', false);
                                     $selectElement.val(MACROS);
-                                } else {
-                                    $selectElement.closest('.usertext-buttons').find('.cancel').trigger('click');
                                 }
-
-                                const commentId = response.json.data.things[0].data.id;
-
-                                if (lockreply) {
-                                    TBApi.lock(commentId, successful => {
-                                        if (!successful) {
-                                            TB.ui.textFeedback('Failed to lock reply', TB.ui.FEEDBACK_NEGATIVE);
+                            });
+                        } else {
+                            TBApi.postComment(info.id, editedcomment, (successful, response) => {
+                                if (!successful) {
+                                    TB.ui.textFeedback('Failed to post reply', TB.ui.FEEDBACK_NEGATIVE);
+                                } else {
+                                    TB.ui.textFeedback('Reply posted', TB.ui.FEEDBACK_POSITIVE);
+                                    $currentMacroPopup.remove();
+                                    $selectElement.prop('disabled', false);
+                                    if (topLevel) {
+                                        $selectElement.val(MACROS);
+                                    } else {
+                                        $selectElement.closest('.usertext-buttons').find('.cancel').trigger('click');
+                                    }
+
+                                    const commentId = response.json.data.things[0].data.id;
+
+                                    // The reply is locked and distinguished once it is posted, which is still part of the macro.
+                                    TBApi.auditAs(feature, () => {
+                                        if (lockreply) {
+                                            TBApi.lock(commentId, successful => {
+                                                if (!successful) {
+                                                    TB.ui.textFeedback('Failed to lock reply', TB.ui.FEEDBACK_NEGATIVE);
+                                                }
+                                            });
                                         }
-                                    });
-                                }
-                                if (distinguish && !TBCore.isModmail) {
-                                    // Distinguish the new reply
-                                    TBApi.distinguishThing(commentId, sticky && topLevel, successful => {
-                                        if (!successful) {
-                                            TB.ui.textFeedback('Failed to distinguish reply', TB.ui.FEEDBACK_NEGATIVE);
+                                        if (distinguish && !TBCore.isModmail) {
+                                            // Distinguish the new reply
+                                            TBApi.distinguishThing(commentId, sticky && topLevel, successful => {
+                                                if (!successful) {
+                                                    TB.ui.textFeedback('Failed to distinguish reply', TB.ui.FEEDBACK_NEGATIVE);
+                                                }
+                                            });
                                         }
                                     });
                                 }
-                            }
-                        });
+                            });
 
-                        if (!TBCore.isModmail && !TBCore.isNewModmail) {
-                            self.log('Performing non-modmail actions');
+                            if (!TBCore.isModmail && !TBCore.isNewModmail) {
+                                self.log('Performing non-modmail actions');
 
-                            if (remove) {
-                                TBApi.removeThing(info.id, false);
-                            }
+                                if (remove) {
+                                    TBApi.removeThing(info.id, false);
+                                }
 
-                            if (approve) {
-                                TBApi.approveThing(info.id);
-                            }
+                                if (approve) {
+                                    TBApi.approveThing(info.id);
+                                }
 
-                            if (lockitem) {
-                                TBApi.lock(info.id);
+                                if (lockitem) {
+                                    TBApi.lock(info.id);
+                                }
                             }
-                        }
 
-                        self.log('Performing user actions');
+                            self.log('Performing user actions');
 
-                        if (ban) {
-                            TBApi.friendUser(
-                                info.author, 'banned', info.subreddit,
-                                `Banned from: ${info.permalink}`,
-                                `For the following ${kind}: ${info.permalink}`
-                            );
-                        }
+                            if (ban) {
+                                TBApi.friendUser(
+                                    info.author, 'banned', info.subreddit,
+                                    `Banned from: ${info.permalink}`,
+                                    `For the following ${kind}: ${info.permalink}`
+                                );
+                            }
 
-                        if (mute) {
-                            self.log(`  Muting "${info.author}" from /r/${info.subreddit} @ ${info.permalink}`);
-                            TBApi.friendUser(
-                                info.author, 'muted', info.subreddit,
-                                `Muted from: ${info.permalink}`
-                            );
+                            if (mute) {
+                                self.log(`  Muting "${info.author}" from /r/${info.subreddit} @ ${info.permalink}`);
+                                TBApi.friendUser(
+                                    info.author, 'muted', info.subreddit,
+                                    `Muted from: ${info.permalink}`
+                                );
+                            }
+
+                            runMacroSteps(info, steps, reportFailedStep);
                         }
-                    }
+                    });
                 }
             });
         }
@@ -518,20 +833,96 @@ function modmacros () {
                     const macro = config[index];
 
                     if (thingID) {
-                        TBCore.getApiThingInfo(thingID, sub, false, thinginfo => {
+                        TBCore.getApiThingInfo(thingID, sub, false, thinginfo => TBCore.addTokenInfo(thinginfo, unescape(JSON.stringify(macro)), thinginfo => {
                             $this.attr('id', `macro-dropdown-${thinginfo.id}`);
                             editMacro($this, thinginfo, macro, topLevel);
-                        });
+                        }));
                     } else {
-                        // add unique id to the dropdown
-                        $this.attr('id', `macro-dropdown-${info.id}`);
-                        editMacro($this, info, macro, topLevel);
+                        TBCore.addTokenInfo(info, unescape(JSON.stringify(macro)), info => {
+                            // add unique id to the dropdown
+                            $this.attr('id', `macro-dropdown-${info.id}`);
+                            editMacro($this, info, macro, topLevel);
+                        });
                     }
                 }
             });
         });
     };
 
+    /**
+     * The key chord of a keyboard event the way macro shortcuts are stored, e.g. `alt+1` or `ctrl+shift+k`.
+     * Only chords with alt, ctrl or meta are used so shortcuts don't get in the way of typing.
+     * @param {KeyboardEvent} event
+     * @returns {string|null}
+     */
+    self.keyChord = function (event) {
+        if (!event.altKey && !event.ctrlKey && !event.metaKey) {
+            return null;
+        }
+
+        // The code of a key doesn't change with the modifiers, on some layouts alt+1 types ¡.
+        const code = event.code || '',
+              key = /^(Key|Digit)/.test(code) ? code.replace(/^(Key|Digit)/, '').toLowerCase() : (event.key || '').toLowerCase();
+
+        if (!key || ['alt', 'control', 'shift', 'meta', 'os'].includes(key)) {
+            return null;
+        }
+
+        return ['ctrl', 'alt', 'shift', 'meta'].filter(modifier => event[`${modifier}Key`]).concat(key).join('+');
+    };
+
+    // Like removal reasons, macros can contain <input>, <select> and <textarea> fields that are filled in before posting.
+    self.hasFields = function (text) {
+        return /<(select|input|textarea)/i.test(text);
+    };
+
+    // Renders the markdown of a macro, with its fields as form elements.
+    self.renderMacro = function (markdown) {
+        ['select', 'option', 'textarea', 'input'].forEach(element => {
+            if (!SnuOwnd.DEFAULT_HTML_ELEMENT_WHITELIST.includes(element)) {
+                SnuOwnd.DEFAULT_HTML_ELEMENT_WHITELIST.push(element);
+            }
+        });
+        if (!SnuOwnd.DEFAULT_HTML_ATTR_WHITELIST.includes('id')) {
+            SnuOwnd.DEFAULT_HTML_ATTR_WHITELIST.push('id');
+        }
+        const parser = SnuOwnd.getParser(SnuOwnd.getRedditRenderer(SnuOwnd.DEFAULT_BODY_FLAGS | SnuOwnd.HTML_ALLOW_ELEMENT_WHITELIST));
+        return parser.render(markdown);
+    };
+
+    // The text of a macro with its fields replaced by the given values, in the order the fields appear in the macro.
+    // Fields are found at any depth, in the same order as they are found in the rendered macro.
+    self.fillMacroFields = function (markdown, values) {
+        const body = new DOMParser().parseFromString(markdown, 'text/html').body;
+        let text = '',
+            index = 0;
+
+        (function addText (node) {
+            node.childNodes.forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    text += child.textContent;
+                    return;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) {
+                    return;
+                }
+                switch (child.tagName.toLowerCase()) {
+                case 'br':
+                    text += '\n\n';
+                    break;
+                case 'select':
+                case 'input':
+                case 'textarea':
+                    text += values[index++] || '';
+                    break;
+                default:
+                    addText(child);
+                }
+            });
+        })(body);
+        return text;
+    };
+
     TB.register_module(self);
 }
 
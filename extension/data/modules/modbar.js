@@ -30,6 +30,16 @@ function modbar () {
         default: true,
         title: 'Include a button in the modbar to swap between old and new Reddit',
     });
+    self.register_setting('enableUndo', {
+        type: 'boolean',
+        default: true,
+        title: 'Include a button in the modbar to undo the actions toolbox made in this tab',
+    });
+    self.register_setting('enableAuditLog', {
+        type: 'boolean',
+        default: true,
+        title: 'Include a button in the modbar to browse the log of every action toolbox made',
+    });
     self.register_setting('shortcuts', {
         type: 'map',
         default: {},
@@ -107,6 +117,8 @@ function modbar () {
               unmoderatedOn = self.setting('unmoderatedOn'),
               enableModSubs = self.setting('enableModSubs'),
               enableOldNewToggle = self.setting('enableOldNewToggle'),
+              enableUndo = self.setting('enableUndo'),
+              enableAuditLog = self.setting('enableAuditLog'),
               customCSS = self.setting('customCSS'),
               consoleShowing = self.setting('consoleShowing'),
 
@@ -359,6 +371,234 @@ function modbar () {
             `);
         }
 
+        // Undo panel for the actions toolbox journaled in this tab.
+        if (enableUndo) {
+            $('#tb-bottombar-contentleft').append(`
+                <a href="javascript:;" id="tb-toolbar-undo" class="tb-modbar-button" title="Undo actions toolbox made in this tab">Undo</a>
+            `);
+
+            const undoStatus = entry => {
+                if (entry.undone) {
+                    return '<span class="tb-undo-status">undone</span>';
+                }
+                if (!entry.undo) {
+                    return '<span class="tb-undo-status">cannot undo</span>';
+                }
+                return `<span class="tb-undo-status">undo: ${TBHelpers.htmlEncode(entry.undo.description)}</span>`;
+            };
+
+            const undoPanelContent = () => {
+                const journal = TBApi.getActionJournal().reverse();
+                let rows = '';
+
+                journal.forEach(entry => {
+                    rows += `
+                        <tr class="${entry.undone ? 'tb-undo-done' : ''}">
+                            <td class="tb-undo-time">${TBHelpers.timeConverterRead(entry.time / 1000)}</td>
+                            <td>${TBHelpers.htmlEncode(entry.description)}</td>
+                            <td>${undoStatus(entry)}</td>
+                        </tr>`;
+                });
+
+                return `
+                    <div id="tb-undo-panel">
+                        Undo the last <input type="number" class="tb-input tb-undo-count" min="1" value="1"> actions
+                        <a href="javascript:;" class="tb-general-button tb-undo-actions">undo</a>
+                        <table id="tb-undo-list">${rows || '<tr><td>Toolbox made no actions in this tab yet.</td></tr>'}</table>
+                    </div>`;
+            };
+
+            $body.on('click', '#tb-toolbar-undo', () => {
+                if ($body.find('.tb-undo-popup').length) {
+                    $body.find('.tb-undo-popup').remove();
+                    return;
+                }
+
+                TB.ui.popup({
+                    title: 'Undo toolbox actions',
+                    tabs: [
+                        {
+                            title: 'Undo toolbox actions',
+                            id: 'tb-undo',
+                            tooltip: 'Undo toolbox actions',
+                            content: undoPanelContent(),
+                            footer: '',
+                        },
+                    ],
+                    cssClass: 'tb-undo-popup',
+                }).appendTo('body').css({
+                    position: 'fixed',
+                    bottom: '41px',
+                    left: '20px',
+                });
+            });
+
+            $body.on('click', '.tb-undo-popup .close', () => {
+                $body.find('.tb-undo-popup').remove();
+            });
+
+            $body.on('click', '.tb-undo-popup .tb-undo-actions', () => {
+                const count = parseInt($body.find('.tb-undo-popup .tb-undo-count').val());
+
+                if (!count || count < 1) {
+                    return;
+                }
+
+                TB.ui.longLoadSpinner(true);
+                TBApi.undoActions(count, results => {
+                    const counts = status => results.filter(result => result.status === status).length,
+                          failed = counts('failed'),
+                          cannotUndo = counts('cannot undo');
+                    let message = `Undid ${counts('undone')} actions`;
+
+                    if (failed) {
+                        message += `, ${failed} failed`;
+                    }
+                    if (cannotUndo) {
+                        message += `, ${cannotUndo} cannot be undone`;
+                    }
+
+                    TB.ui.longLoadSpinner(false);
+                    TB.ui.textFeedback(message, failed ? TB.ui.FEEDBACK_NEGATIVE : TB.ui.FEEDBACK_POSITIVE);
+                });
+            });
+
+            // Keep the panel up to date as toolbox makes or undoes actions.
+            window.addEventListener('TBActionJournal', () => {
+                const $panel = $body.find('.tb-undo-popup #tb-undo-panel');
+
+                if ($panel.length) {
+                    const count = $panel.find('.tb-undo-count').val();
+                    $panel.replaceWith(undoPanelContent());
+                    $body.find('.tb-undo-popup .tb-undo-count').val(count);
+                }
+            });
+        }
+
+        // Audit log of every action toolbox made, kept by the background page.
+        if (enableAuditLog) {
+            const AUDIT_FIELDS = ['time', 'mod', 'subreddit', 'action', 'target', 'module', 'feature', 'reason'],
+                  AUDIT_ROW_LIMIT = 500;
+            let auditEntries = [],
+                shownAuditFilters = {};
+
+            $('#tb-bottombar-contentleft').append(`
+                <a href="javascript:;" id="tb-toolbar-audit-log" class="tb-modbar-button" title="Browse the actions toolbox made">Audit log</a>
+            `);
+
+            const auditFilters = () => {
+                const $filters = $body.find('.tb-audit-log-filters'),
+                      value = name => $filters.find(`[name=${name}]`).val().trim(),
+                      from = value('from'),
+                      to = value('to');
+
+                return {
+                    subreddit: value('subreddit').replace(/^\/?r\//, ''),
+                    mod: value('mod').replace(/^\/?u\//, ''),
+                    module: value('module'),
+                    action: value('action'),
+                    search: value('search'),
+                    from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+                    to: to ? new Date(`${to}T23:59:59`).getTime() : null,
+                };
+            };
+
+            const showAuditLog = () => {
+                const $list = $body.find('#tb-audit-log-list');
+                let rows = '';
+
+                auditEntries.slice(0, AUDIT_ROW_LIMIT).forEach(entry => {
+                    rows += `
+                        <tr>
+                            <td class="tb-audit-log-time">${TBHelpers.timeConverterRead(entry.time / 1000)}</td>
+                            ${AUDIT_FIELDS.slice(1).map(field => `<td>${TBHelpers.htmlEncode(entry[field] || '')}</td>`).join('')}
+                        </tr>`;
+                });
+
+                $list.find('tbody').html(rows || `<tr><td colspan="${AUDIT_FIELDS.length}">No actions found.</td></tr>`);
+                $body.find('.tb-audit-log-count').text(auditEntries.length > AUDIT_ROW_LIMIT ?
+                    `Showing the latest ${AUDIT_ROW_LIMIT} actions, export them to see all.` :
+                    `${auditEntries.length} actions`);
+            };
+
+            // One entry more than is shown is read, to tell if there are more.
+            const loadAuditLog = () => {
+                shownAuditFilters = auditFilters();
+                TBApi.getAuditLog(shownAuditFilters, AUDIT_ROW_LIMIT + 1).then(entries => {
+                    auditEntries = entries;
+                    showAuditLog();
+                }).catch(error => {
+                    self.log(error);
+                    TB.ui.textFeedback('Could not read the audit log', TB.ui.FEEDBACK_NEGATIVE);
+                });
+            };
+
+            $body.on('click', '#tb-toolbar-audit-log', () => {
+                if ($body.find('.tb-audit-log').length) {
+                    return;
+                }
+
+                TB.ui.overlay(
+                    'Audit log',
+                    [
+                        {
+                            title: 'Audit log',
+                            tooltip: 'Every moderation action toolbox made in this browser.',
+                            content: `
+                                <div class="tb-audit-log-filters">
+                                    <input type="text" class="tb-input" name="subreddit" placeholder="subreddit">
+                                    <input type="text" class="tb-input" name="mod" placeholder="moderator">
+                                    <input type="text" class="tb-input" name="module" placeholder="module">
+                                    <input type="text" class="tb-input" name="action" placeholder="action">
+                                    <input type="text" class="tb-input" name="search" placeholder="target, feature or reason">
+                                    <label>from <input type="date" class="tb-input" name="from"></label>
+                                    <label>to <input type="date" class="tb-input" name="to"></label>
+                                    <a href="javascript:;" class="tb-general-button tb-audit-log-filter">filter</a>
+                                </div>
+                                <p class="tb-audit-log-count"></p>
+                                <table id="tb-audit-log-list">
+                                    <thead><tr>${AUDIT_FIELDS.map(field => `<th>${field}</th>`).join('')}</tr></thead>
+                                    <tbody></tbody>
+                                </table>`,
+                            footer: `
+                                <input type="button" class="tb-action-button tb-audit-log-export" value="export as CSV">`,
+                        },
+                    ],
+                    [], // extra header buttons
+                    'tb-audit-log', // class
+                    false // single overriding footer
+                ).appendTo('body');
+                $body.css('overflow', 'hidden');
+
+                loadAuditLog();
+            });
+
+            $body.on('click', '.tb-audit-log .close', () => {
+                $body.find('.tb-audit-log').remove();
+                $body.css('overflow', 'auto');
+            });
+
+            $body.on('click', '.tb-audit-log .tb-audit-log-filter', loadAuditLog);
+
+            $body.on('keyup', '.tb-audit-log-filters input', event => {
+                if (event.key === 'Enter') {
+                    loadAuditLog();
+                }
+            });
+
+            $body.on('click', '.tb-audit-log .tb-audit-log-export', () => {
+                TBApi.getAuditLog(shownAuditFilters).then(entries => {
+                    const rows = entries.map(entry => AUDIT_FIELDS.map(field => field === 'time' ? new Date(entry.time).toISOString() : entry[field] || ''));
+
+                    rows.unshift(AUDIT_FIELDS);
+                    TBHelpers.downloadFile(`toolbox-audit-log-${new Date().toISOString().slice(0, 10)}.csv`, TBHelpers.toCSV(rows), 'text/csv');
+                }).catch(error => {
+                    self.log(error);
+                    TB.ui.textFeedback('Could not read the audit log', TB.ui.FEEDBACK_NEGATIVE);
+                });
+            });
+        }
+
         if (TBCore.firstRun) {
             $('.tb-first-run').show().css('display', 'inline-block');
         }
@@ -233,7 +233,7 @@ function modbutton () {
                     <input type="checkbox" class="action-sub ${self.OTHER}-checkbox name="action-sub" value="${self.OTHER}">
                     <select class="${self.OTHER} tb-action-button inline-button" for="action-${self.OTHER}"><option value="${self.OTHER}">(select subreddit)</option></select>
                 </div>
-                <div class="ban-note-container"><input id="ban-note" class="ban-note tb-input" type="text" placeholder="(ban note)" maxlength="300"></input><br>
+                <div class="ban-note-container"><div class="ban-escalation tb-info" style="display: none;"></div><input id="ban-note" class="ban-note tb-input" type="text" placeholder="(ban note)" maxlength="300"></input><br>
                 <textarea name="ban-message" class="tb-input ban-message" placeholder="(ban message to user)" maxlength="1000"></textarea><br>
                 <input type="number" min="1" max="999" name="ban-duration"  class="ban-duration tb-input" placeholder="time (days)">
                 </div>`,
@@ -329,14 +329,36 @@ function modbutton () {
                 TBCore.getConfig(subreddit, config => {
                     const macros = config.banMacros;
                     if (config && macros) {
-                        if (macros.banNote) {
-                            self.log(macros.banNote);
-                            $popup.find('.ban-note').val(TBHelpers.replaceTokens(info, macros.banNote));
-                        }
-                        if (macros.banMessage) {
-                            self.log(macros.banMessage);
-                            $popup.find('.ban-message').val(TBHelpers.replaceTokens(info, macros.banMessage));
-                        }
+                        const macroText = `${macros.banNote || ''} ${macros.banMessage || ''}`;
+                        TBCore.addTokenInfo(info, macroText, info => {
+                            const unknownTokens = TBHelpers.unknownTokens(info, macroText);
+                            if (unknownTokens.length) {
+                                TB.ui.textFeedback(`Unknown tokens in the ban macros: ${unknownTokens.map(token => `{${token}}`).join(', ')}`, TB.ui.FEEDBACK_NEGATIVE);
+                            }
+                            if (macros.banNote) {
+                                self.log(macros.banNote);
+                                $popup.find('.ban-note').val(TBHelpers.replaceTokens(info, macros.banNote));
+                            }
+                            if (macros.banMessage) {
+                                self.log(macros.banMessage);
+                                $popup.find('.ban-message').val(TBHelpers.replaceTokens(info, macros.banMessage));
+                            }
+                        });
+                    }
+                });
+            }
+
+            // Suggest the next step of the subreddit's escalation ladder based on the user's notes.
+            if (subreddit && TB.modules.UserNotes && TB.modules.UserNotes.setting('enabled')) {
+                TB.modules.UserNotes.getEscalationSuggestion(subreddit, user, suggestion => {
+                    if (!suggestion) {
+                        return;
+                    }
+                    $popup.find('.ban-escalation').text(`Suggested next step: ${suggestion.description}`).show();
+                    if (suggestion.banDays === 'permanent') {
+                        $popup.find('.ban-duration').val('');
+                    } else if (suggestion.banDays) {
+                        $popup.find('.ban-duration').val(suggestion.banDays);
                     }
                 });
             }
@@ -475,6 +497,8 @@ function modbutton () {
                         sidebar: subreddit ? TBCore.link(`/r/${subreddit}/about/sidebar`) : '',
                         wiki: subreddit ? TBCore.link(`/r/${subreddit}/wiki/index`) : '',
                         mod: TBCore.logged,
+                        removed_by: '',
+                        created: '',
                     };
                     openModPopup(event, info);
                 } else {
@@ -586,7 +610,8 @@ function modbutton () {
             }
 
             function massAction (subs) {
-                const failedSubs = [];
+                const failedSubs = [],
+                      audited = fn => TBApi.auditAs(`mod button: ${actionName}`, fn);
 
                 TB.ui.longLoadSpinner(true, 'Performing mod action', TB.ui.FEEDBACK_NEUTRAL);
 
@@ -596,32 +621,32 @@ function modbutton () {
 
                         self.log(`banning from: ${subreddit}`);
                         if (settingState) {
-                            TBApi.friendUser(user, action, subreddit, banReason, banMessage, banDuration, (success, response) => {
+                            audited(() => TBApi.friendUser(user, action, subreddit, banReason, banMessage, banDuration, (success, response) => {
                                 if (success) {
                                     if (!$.isEmptyObject(response) && !$.isEmptyObject(response.json.errors) && response.json.errors[0][0] === 'USER_BAN_NO_MESSAGE') {
                                     // There is probably a smarter way of doing this that doesn't involve nesting another api call within an api call.
 
                                         self.log('no ban message allowed, falling back to no message.');
                                         banMessage = '';
-                                        TBApi.friendUser(user, action, subreddit, banReason, banMessage, banDuration, success => {
+                                        audited(() => TBApi.friendUser(user, action, subreddit, banReason, banMessage, banDuration, success => {
                                             if (!success) {
                                                 self.log('missed one');
                                                 failedSubs.push(subreddit);
                                             }
-                                        });
+                                        }));
                                     }
                                 } else {
                                     self.log('missed one');
                                     failedSubs.push(subreddit);
                                 }
-                            });
+                            }));
                         } else {
-                            TBApi.unfriendUser(user, action, subreddit, success => {
+                            audited(() => TBApi.unfriendUser(user, action, subreddit, success => {
                                 if (!success) {
                                     self.log('missed one');
                                     failedSubs.push(subreddit);
                                 }
-                            });
+                            }));
                         }
                     },
 
@@ -658,7 +683,7 @@ function modbutton () {
                 message = $subredditMessage.val();
             }
 
-            TBApi.sendMessage(user, subject, message, subreddit, (successful, response) => {
+            TBApi.auditAs('mod button: message', () => TBApi.sendMessage(user, subject, message, subreddit, (successful, response) => {
                 if (!successful) {
                     $callbackSpan.text(`an error occurred: ${response[0][1]}`);
                     TB.ui.longLoadSpinner(false);
@@ -674,7 +699,7 @@ function modbutton () {
                         TB.ui.longLoadSpinner(false);
                     }
                 }
-            });
+            }));
         });
 
         // Flair ALL THE THINGS
@@ -689,11 +714,21 @@ function modbutton () {
                 return;
             }
 
+            $popup.removeData('flair');
             const resp = await TBApi.getJSON(`/r/${subreddit}/api/flairlist.json?name=${user}`);
-            if (!resp || !resp.users || resp.users.length < 1) {
+            if (!resp || !resp.users) {
                 return;
             }
             TBStorage.purifyObject(resp);
+            // Kept so the undo of saving the flair can put this one back without looking it up again.
+            const flair = resp.users[0] || {};
+            $popup.data('flair', {
+                text: flair.flair_text || '',
+                cssClass: flair.flair_css_class || '',
+            });
+            if (resp.users.length < 1) {
+                return;
+            }
             $textinput.val(resp.users[0].flair_text);
             $classinput.val(resp.users[0].flair_css_class);
         });
@@ -709,15 +744,16 @@ function modbutton () {
 
             TBui.textFeedback('saving user flair...', TBui.FEEDBACK_NEUTRAL);
 
-            TBApi.flairUser(user, subreddit, text, css_class, (success, error) => {
+            TBApi.auditAs('mod button: flair', () => TBApi.flairUser(user, subreddit, text, css_class, (success, error) => {
                 if (success) {
+                    $popup.data('flair', {text, cssClass: css_class});
                     TBui.textFeedback('saved user flair', TBui.FEEDBACK_POSITIVE);
                 } else {
                     self.log(error.responseText);
                     TBui.textFeedback(error.responseText, TBui.FEEDBACK_NEGATIVE);
                     $status.text(error.responseText);
                 }
-            });
+            }, $popup.data('flair')));
         });
     };
 
@@ -359,6 +359,7 @@ function queuetools () {
             <a href="javascript:;" class="tb-general-button inoffensive toggle-reports"  >${EXPAND_TITLE}</a>
             <a href="javascript:;" class="pretty-button action negative" accesskey="S" type="negative" tabindex="3">spam&nbsp;selected</a>
             <a href="javascript:;" class="pretty-button action neutral"  accesskey="R" type="neutral"  tabindex="4">remove&nbsp;selected</a>
+            ${TB.modules.RReasons && TB.modules.RReasons.setting('enabled') ? '<a href="javascript:;" class="pretty-button action-reason neutral" tabindex="4">remove&nbsp;with&nbsp;reason</a>' : ''}
             <a href="javascript:;" class="pretty-button action positive" accesskey="A" type="positive" tabindex="5">approve&nbsp;selected</a>
         </span>
         ${viewingspam ? '' : `<span><a><label for="modtab-threshold">Report threshold: </label><input id="modtab-threshold" type="number" min="0" value="${reportsThreshold}" /></a></span>`}
@@ -586,7 +587,7 @@ function queuetools () {
                       spam = !approve && this.type === 'negative';
 
                 // Apply action
-                const $actioned = $('.thing:visible > input:checked').parent().each(function () {
+                const $actioned = TBApi.auditAs(`mass ${approve ? 'approve' : spam ? 'spam' : 'remove'}`, () => $('.thing:visible > input:checked').parent().each(function () {
                     const id = $(this).attr('data-fullname');
 
                     if (approve) {
@@ -601,7 +602,7 @@ function queuetools () {
                         // Insert useful error handling here (or not)
                         });
                     }
-                });
+                }));
                 $actioned.css('opacity', '1');
                 $actioned.removeClass('flaired spammed removed approved');
                 $actioned.addClass(approve ? 'approved' : spam ? 'spammed' : 'removed');
@@ -611,6 +612,41 @@ function queuetools () {
                 }
             });
 
+            // Mass remove with a removal reason
+            $('.pretty-button.action-reason').click(() => {
+                const $selected = $('.thing:visible > input:checked').parent(),
+                      infos = $selected.map(function () {
+                          return TBCore.getThingInfo(this, true);
+                      }).get();
+
+                if (!infos.length) {
+                    return;
+                }
+                // Removal reasons belong to a subreddit, so they can't be picked for items of several subreddits at once.
+                if (infos.some(info => info.subreddit !== infos[0].subreddit)) {
+                    TB.ui.textFeedback('Select items of a single subreddit to remove them with a reason.', TB.ui.FEEDBACK_NEGATIVE);
+                    return;
+                }
+                if (!infos[0].subreddit) {
+                    TB.ui.textFeedback('You can only remove items with a reason in subreddits you moderate.', TB.ui.FEEDBACK_NEGATIVE);
+                    return;
+                }
+
+                TB.modules.RReasons.massRemoveWithReason(infos, removed => {
+                    const $actioned = $selected.filter(function () {
+                        return removed.includes($(this).attr('data-fullname'));
+                    });
+                    $actioned.find('> input[type=checkbox]').prop('checked', false);
+                    $actioned.css('opacity', '1');
+                    $actioned.removeClass('flaired spammed removed approved');
+                    $actioned.addClass('removed');
+
+                    if (hideActionedItems) {
+                        $actioned.hide();
+                    }
+                });
+            });
+
             // menuarea pretty-button feedback.
             $('.menuarea.modtools .pretty-button').click(function () {
                 $(this).clearQueue().addClass('pressed').delay(200).queue(function () {
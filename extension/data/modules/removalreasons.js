@@ -20,7 +20,7 @@ function removalreasons () {
     // Storage settings.
     self.register_setting('reasonType', {
         type: 'selector',
-        values: ['Reply with a comment to the item that is removed', 'Send as PM (personal message)', 'Send as both PM and reply', 'None (This only works when a logsub has been set)'],
+        values: ['Reply with a comment to the item that is removed', 'Send as PM (personal message)', 'Send as both PM and reply', 'Send as a new modmail conversation', 'None (This only works when a logsub has been set)'],
         default: 'reply',
         title: 'Method of sending removal reasons.',
     });
@@ -31,11 +31,21 @@ function removalreasons () {
         advanced: true,
         title: 'Send removal reasons as a subreddit. <b>Note:</b> these will appear in modmail and potentially clutter it up.',
     });
+    self.register_setting('reasonModmailArchive', {
+        type: 'boolean',
+        default: false,
+        title: 'Archive the modmail conversation after sending a removal reason through new modmail.',
+    });
     self.register_setting('reasonSticky', {
         type: 'boolean',
         default: false,
         title: 'Leave removal reasons as a sticky comment.',
     });
+    self.register_setting('previewMessage', {
+        type: 'boolean',
+        default: true,
+        title: 'Preview the removal message, and where it will be sent, before sending it.',
+    });
     self.register_setting('actionLock', {
         type: 'boolean',
         default: false,
@@ -46,6 +56,17 @@ function removalreasons () {
         default: false,
         title: 'Lock removal reasons when replying as a comment.',
     });
+    self.register_setting('reasonLanguages', {
+        type: 'JSON',
+        default: {},
+        hidden: true,
+    });
+    // How often the removal reasons are used from this browser: {mod: {subreddit: {reason key: {count, lastUsed}}}}
+    self.register_setting('reasonUsage', {
+        type: 'JSON',
+        default: {},
+        hidden: true,
+    });
     // Default is escape()'d: <textarea id="customTextarea" placeholder="Enter Custom reason"></textarea>
     // May make this a user setting, one day.
     self.register_setting('customRemovalReason', {
@@ -66,8 +87,10 @@ function removalreasons () {
         // Error texts
         const STATUS_DEFAULT_TEXT = 'saving...',
               APPROVE_ERROR = 'error, failed to approve post',
+              REMOVE_ERROR = 'error, failed to remove',
               FLAIR_ERROR = 'error, failed to flair post',
               NO_REASON_ERROR = 'error, no reason selected',
+              EMPTY_PREVIEW_ERROR = 'error, the message is empty',
               NO_REPLY_TYPE_ERROR = 'error, no reply type selected',
               REPLY_ERROR = 'error, failed to post reply',
               PM_ERROR = 'error, failed to send PM',
@@ -75,7 +98,9 @@ function removalreasons () {
               LOCK_POST_ERROR = 'error, failed to lock post',
               LOCK_COMMENT_ERROR = 'error, failed to lock reply',
               LOG_REASON_MISSING_ERROR = 'error, public log reason missing',
-              LOG_POST_ERROR = 'error, failed to create log post';
+              LOG_POST_ERROR = 'error, failed to create log post',
+              MODMAIL_ERROR = 'error, failed to send modmail',
+              MODMAIL_ARCHIVE_ERROR = 'Failed to archive the removal reason modmail.';
 
         // Default texts
         const DEFAULT_SUBJECT = 'Your {kind} was removed from /r/{subreddit}',
@@ -159,6 +184,167 @@ function removalreasons () {
             });
         }
 
+        // All the text of a removal reasons config that tokens can be used in. Without a config that's the custom reason.
+        function reasonsTokenText (reasons) {
+            return reasons ? unescape(JSON.stringify(reasons)) : self.setting('customRemovalReason');
+        }
+
+        // The data of a removal, with the tokens of the item being removed.
+        function removalData (info) {
+            return {
+                subreddit: info.subreddit,
+                fullname: info.id,
+                author: info.user,
+                title: info.title,
+                kind: info.kind,
+                mod: info.mod,
+                url: info.permalink,
+                link: info.postlink,
+                domain: info.domain,
+                body: info.body,
+                raw_body: info.raw_body,
+                uri_body: info.uri_body,
+                uri_title: info.uri_title,
+                created: info.created,
+                // The item is usually only being removed now, by whoever uses toolbox to do it.
+                removed_by: info.removed_by || info.mod,
+                author_created: info.author_created,
+                author_age: info.author_age,
+                rule_list: info.rule_list,
+            };
+        }
+
+        // Adds the subreddit's removal reasons config to the data of a removal.
+        function addReasonsConfig (data, response) {
+            // Get PM subject line
+            data.subject = TBHelpers.htmlEncode(response.pmsubject) || DEFAULT_SUBJECT;
+
+            // Add additional data that is found in the wiki JSON.
+            // Any HTML needs to me unescaped, because we store it escaped in the wiki.
+            data.logReason = TBHelpers.htmlEncode(response.logreason) || '';
+            data.header = response.header ? TBHelpers.htmlEncode(unescape(response.header)) : '';
+            data.footer = response.footer ? TBHelpers.htmlEncode(unescape(response.footer)) : '';
+            data.logSub = TBHelpers.htmlEncode(response.logsub) || '';
+            data.logTitle = TBHelpers.htmlEncode(response.logtitle) || DEFAULT_LOG_TITLE;
+            data.banTitle = TBHelpers.htmlEncode(response.bantitle) || DEFAULT_BAN_TITLE;
+
+            // Translations of the header, footer and reasons, by language.
+            data.languages = response.languages || [];
+            data.defaultLanguage = TBHelpers.htmlEncode(response.defaultLanguage || '') || 'default language';
+            data.headerTranslations = {};
+            data.footerTranslations = {};
+            data.languages.forEach(language => {
+                if (response.headerTranslations && response.headerTranslations[language]) {
+                    data.headerTranslations[language] = TBHelpers.htmlEncode(unescape(response.headerTranslations[language]));
+                }
+                if (response.footerTranslations && response.footerTranslations[language]) {
+                    data.footerTranslations[language] = TBHelpers.htmlEncode(unescape(response.footerTranslations[language]));
+                }
+            });
+
+            // Loop through the reasons... unescaping each.
+            data.reasons = [];
+            $(response.reasons).each(function () {
+                const translations = {};
+                Object.keys(this.translations || {}).forEach(language => {
+                    translations[language] = {
+                        text: unescape(this.translations[language].text || ''),
+                        title: TBHelpers.htmlEncode(this.translations[language].title || ''),
+                    };
+                });
+
+                data.reasons.push({
+                    text: unescape(this.text),
+                    title: TBHelpers.htmlEncode(this.title),
+                    flairText: TBHelpers.htmlEncode(this.flairText),
+                    flairCSS: TBHelpers.htmlEncode(this.flairCSS),
+                    rule: this.rule || '',
+                    usernote: this.usernote || null,
+                    usageKey: self.reasonUsageKey(this),
+                    translations,
+                });
+            });
+        }
+
+        // The text and title of a reason in the given language, falling back to the default language for what isn't translated.
+        function reasonVariant (reason, language) {
+            const translation = language && reason.translations[language] || {};
+            return {
+                text: translation.text || reason.text,
+                title: translation.title || reason.title,
+            };
+        }
+
+        // The header and footer in the given language, still HTML encoded.
+        function headerVariant (data, language) {
+            return {
+                header: language && data.headerTranslations[language] || data.header,
+                footer: language && data.footerTranslations[language] || data.footer,
+            };
+        }
+
+        // The language last used for a subreddit's removal reasons, if it still has that language.
+        function rememberedLanguage (subreddit, languages) {
+            const language = self.setting('reasonLanguages')[subreddit];
+            return languages.includes(language) ? language : '';
+        }
+
+        function rememberLanguage (subreddit, language) {
+            const languages = self.setting('reasonLanguages');
+            languages[subreddit] = language;
+            self.setting('reasonLanguages', languages);
+        }
+
+        // What {rule} in a reason linked to one of the subreddit's rules stands for.
+        // It is always put in with a replacer function, so a $ in the rule is not read as a replacement pattern.
+        function ruleMarkdown (rule) {
+            return rule ? `**${rule.short_name}**\n\n${rule.description || ''}` : '';
+        }
+
+        // The usernotes added for the reasons of a removal, {reason_title} in their text stands for the title of the reason.
+        function reasonUsernotes (data, reasons) {
+            return reasons.filter(reason => reason.usernote && reason.usernote.type).map(reason => ({
+                type: reason.usernote.type,
+                text: TBHelpers.replaceTokens(Object.assign({reason_title: reason.title}, data), reason.usernote.text || '{reason_title}').trim(),
+            }));
+        }
+
+        // Adds the usernotes of sent removals of a subreddit, with a single save for all of them.
+        function addRemovalUsernotes (subreddit, removals) {
+            const usernotes = TB.modules.UserNotes,
+                  time = new Date().getTime(),
+                  notesByUser = {};
+
+            if (!usernotes || !usernotes.setting('enabled')) {
+                return;
+            }
+
+            removals.forEach(({data, usernotes: reasonNotes}) => {
+                if (!data.author || data.author === '[deleted]') {
+                    return;
+                }
+                reasonNotes.forEach(({type, text}) => {
+                    const note = {
+                        note: text,
+                        time,
+                        mod: TBCore.logged,
+                        link: data.url,
+                        type,
+                        sub: subreddit,
+                    };
+                    if (usernotes.setting('saveSnapshot')) {
+                        note.snapshot = usernotes._snapshotFromInfo(data);
+                    }
+                    notesByUser[data.author] = (notesByUser[data.author] || []).concat(note);
+                });
+            });
+
+            const users = Object.keys(notesByUser);
+            if (users.length) {
+                usernotes.addUserNotes(subreddit, notesByUser, `create new note${users.length > 1 ? `s on ${users.length} users` : ` on user ${users[0]}`} for removal reason`);
+            }
+        }
+
         // UI components
         // UI event handling
         TB.listener.on('post', e => {
@@ -208,29 +394,9 @@ function removalreasons () {
                 }
             }
 
-            TBCore.getApiThingInfo(thingID, thingSubreddit, false, info => {
+            TBCore.getApiThingInfo(thingID, thingSubreddit, false, thingInfo => getRemovalReasons(thingInfo.subreddit, reasons => TBCore.addTokenInfo(thingInfo, reasonsTokenText(reasons), info => {
                 // Get link/comment attributes
-                const data = {
-                    subreddit: info.subreddit,
-                    fullname: info.id,
-                    author: info.user,
-                    title: info.title,
-                    kind: info.kind,
-                    mod: info.mod,
-                    url: info.permalink,
-                    link: info.postlink,
-                    domain: info.domain,
-                    body: info.body,
-                    raw_body: info.raw_body,
-                    uri_body: info.uri_body,
-                    uri_title: info.uri_title,
-                };
-
-                // TODO: Dis ain't finished
-                // getRules(data.subreddit,function(rules){
-                //    self.log('getting rules');
-                //    self.log(rules);
-                // });
+                const data = removalData(info);
 
                 // Set attributes and open reason box if one already exists for this subreddit
                 self.log('Opening popup');
@@ -241,73 +407,60 @@ function removalreasons () {
                     openPopup();
                 } else {
                     // Otherwise create the popup and open it
-                // Get removal reasons.
-                    getRemovalReasons(data.subreddit, response => {
+                    let response = reasons;
+
                     // Removal reasons not enabled
-                        if (!response || response.reasons.length < 1) {
-                            notEnabled.push(data.subreddit);
+                    if (!response || response.reasons.length < 1) {
+                        notEnabled.push(data.subreddit);
 
-                            // we're done, unless the user has always show set.
-                            if (!alwaysShow) {
-                                return;
-                            }
+                        // we're done, unless the user has always show set.
+                        if (!alwaysShow) {
+                            return;
+                        }
 
-                            // Otherwise, setup a completely empty reason.
-                            self.log('Using custom reason');
-
-                            const customReasons = {
-                                pmsubject: '',
-                                logreason: '',
-                                header: '',
-                                footer: '',
-                                logsub: '',
-                                logtitle: '',
-                                bantitle: '',
-                                getfrom: '',
-                                reasons: [],
-                            };
-                            const reason = {
-                                text: self.setting('customRemovalReason'),
-                                flairText: '',
-                                flairCSS: '',
-                                title: '',
-                            };
-                            customReasons.reasons.push(reason);
+                        // Otherwise, setup a completely empty reason.
+                        self.log('Using custom reason');
+
+                        const customReasons = {
+                            pmsubject: '',
+                            logreason: '',
+                            header: '',
+                            footer: '',
+                            logsub: '',
+                            logtitle: '',
+                            bantitle: '',
+                            getfrom: '',
+                            reasons: [],
+                        };
+                        const reason = {
+                            text: self.setting('customRemovalReason'),
+                            flairText: '',
+                            flairCSS: '',
+                            title: '',
+                        };
+                        customReasons.reasons.push(reason);
+
+                        // Set response to our empty reason.
+                        response = customReasons;
+                    }
 
-                            // Set response to our empty reason.
-                            response = customReasons;
-                        }
+                    addReasonsConfig(data, response);
 
-                        // Get PM subject line
-                        data.subject = TBHelpers.htmlEncode(response.pmsubject) || DEFAULT_SUBJECT;
-
-                        // Add additional data that is found in the wiki JSON.
-                        // Any HTML needs to me unescaped, because we store it escaped in the wiki.
-                        data.logReason = TBHelpers.htmlEncode(response.logreason) || '';
-                        data.header = response.header ? TBHelpers.htmlEncode(unescape(response.header)) : '';
-                        data.footer = response.footer ? TBHelpers.htmlEncode(unescape(response.footer)) : '';
-                        data.logSub = TBHelpers.htmlEncode(response.logsub) || '';
-                        data.logTitle = TBHelpers.htmlEncode(response.logtitle) || DEFAULT_LOG_TITLE;
-                        data.banTitle = TBHelpers.htmlEncode(response.bantitle) || DEFAULT_BAN_TITLE;
-
-                        // Loop through the reasons... unescaping each.
-                        data.reasons = [];
-                        $(response.reasons).each(function () {
-                            data.reasons.push({
-                                text: unescape(this.text),
-                                title: TBHelpers.htmlEncode(this.title),
-                                flairText: TBHelpers.htmlEncode(this.flairText),
-                                flairCSS: TBHelpers.htmlEncode(this.flairCSS),
-                            });
-                        });
+                    // Only reasons linked to a rule need the subreddit's rules.
+                    if (!data.reasons.some(reason => reason.rule)) {
+                        createPopup([]);
+                        openPopup();
+                        return;
+                    }
 
-                        // Open popup
-                        createPopup();
+                    TBApi.getRules(data.subreddit, (success, rulesResponse) => {
+                        // Without the rules the reasons still work, just ungrouped and without {rule}.
+                        createPopup(success && rulesResponse.rules ? rulesResponse.rules : []);
                         openPopup();
                     });
                 }
 
-                function createPopup () {
+                function createPopup (rules) {
                     self.log('Creating removal reason popup');
 
                     // Options
@@ -327,6 +480,9 @@ function removalreasons () {
                     case 'send_as_both_pm_and_reply':
                         reasonType = 'both';
                         break;
+                    case 'send_as_a_new_modmail_conversation':
+                        reasonType = 'modmail';
+                        break;
                     case 'none_(this_only_works_when_a_logsub_has_been_set)':
                         reasonType = 'none';
                         break;
@@ -336,6 +492,7 @@ function removalreasons () {
                     }
 
                     const reasonAsSub = self.setting('reasonAsSub');
+                    const reasonModmailArchive = self.setting('reasonModmailArchive');
                     const reasonSticky = self.setting('reasonSticky');
                     const actionLockThread = self.setting('actionLock');
                     const actionLockComment = self.setting('actionLockComment');
@@ -349,6 +506,9 @@ function removalreasons () {
                     const headerText = data.header ? parser.render(data.header) : '',
                           footerText = data.footer ? parser.render(data.footer) : '';
 
+                    const languages = [''].concat(data.languages),
+                          languageOptions = languages.map(language => `<option value="${TBHelpers.htmlEncode(language)}">${TBHelpers.htmlEncode(language) || data.defaultLanguage}</option>`).join('');
+
                     // Make box & add reason radio buttons
                     let popup = $(`
                     <div class="reason-popup" id="reason-popup-${data.subreddit}">
@@ -357,6 +517,7 @@ function removalreasons () {
                     <div class="reason-popup-header">Removal reasons for /r/${data.subreddit}:</div>
                     <div class="reason-popup-innercontent">
                     <p>Removing: <a class="mte-thread-link" href="${data.url}" target="_blank">${TBHelpers.htmlEncode(data.title)}</a></p>
+                    ${data.languages.length ? `<p>Language: <select class="reason-language tb-action-button">${languageOptions}</select></p>` : ''}
                     <div class="styled-reason" id="header-reason" style="display:${headerDisplay}">
                         <p>
                             <label><input type="checkbox" id="include-header" checked> Include header.</label><br />
@@ -402,6 +563,17 @@ function removalreasons () {
                         <li>
                             <input class="reason-type" type="radio" id="type-both-${data.subreddit}" value="both"  name="type-${data.subreddit}"${reasonType === 'both' ? ' checked="1"' : ''} /><label for="type-both-${data.subreddit}">Send as both PM and reply.</label>
                         </li>
+                        <li>
+                            <input class="reason-type" type="radio" id="type-modmail-${data.subreddit}" value="modmail" name="type-${data.subreddit}"${reasonType === 'modmail' ? ' checked="1"' : ''} /><label for="type-modmail-${data.subreddit}">Send as a new modmail conversation from /r/${data.subreddit}.</label>
+                            <ul>
+                                <li>
+                                    <input class="reason-modmail-hide-author" type="checkbox" id="type-modmail-hide-author"${reasonAsSub ? 'checked ' : ''} /><label for="type-modmail-hide-author">Hide your username.</label>
+                                </li>
+                                <li>
+                                    <input class="reason-modmail-archive" type="checkbox" id="type-modmail-archive"${reasonModmailArchive ? 'checked ' : ''} /><label for="type-modmail-archive">Archive the conversation.</label>
+                                </li>
+                            </ul>
+                        </li>
                         <li style="display:${selectNoneDisplay}"> /
                             <input class="reason-type" type="radio" id="type-none-${data.subreddit}" value="none"  name="type-${data.subreddit}"${reasonType === 'none' ? ' checked="1"' : ''} /><label for="type-none-${data.subreddit}">none, will only log the removal.</label>
                         </li>
@@ -423,6 +595,8 @@ function removalreasons () {
                     <input type="hidden" name="tom_or_not" value="no-tom">
                     <span class="status error" style="display:none">This is an easter egg.</span>
                     <button class="save tb-action-button">send</button>
+                    <button class="preview-confirm tb-action-button" style="display:none">confirm and send</button>
+                    <button class="preview-back tb-action-button" style="display:none">back</button>
                     <button class="no-reason tb-action-button">no reason</button>
                     <button class="cancel tb-action-button">cancel and approve</button>
                     </div>
@@ -431,10 +605,38 @@ function removalreasons () {
 
                     popup = $(popup).appendTo('body').find('attrs').attr(data).end();
 
+                    // Everything that changes with the language, rendered in advance.
+                    const headerVariants = {};
+                    languages.forEach(language => {
+                        const {header, footer} = headerVariant(data, language);
+                        headerVariants[language] = {
+                            header,
+                            footer,
+                            headerHtml: header ? parser.render(header) : '',
+                            footerHtml: footer ? parser.render(footer) : '',
+                        };
+                    });
+                    popup.data('headerVariants', headerVariants);
+
+                    // Group the reasons by the rule they are linked to, in the order of the subreddit's rules.
+                    const reasonRows = {};
+
                     // Render reasons and add to popup
                     $(data.reasons).each(function (index) {
-                        const reasonMarkdown = `${this.text}\n\n`;
-                        const reasonHtml = parser.render(reasonMarkdown);
+                        const rule = rules.find(subredditRule => subredditRule.short_name === this.rule),
+                              ruleText = ruleMarkdown(rule),
+                              variants = {};
+                        languages.forEach(language => {
+                            const variant = reasonVariant(this, language),
+                                  markdown = `${variant.text.replace(/{rule}/g, () => ruleText)}\n\n`;
+                            variants[language] = {
+                                markdown,
+                                html: parser.render(markdown),
+                                title: variant.title,
+                            };
+                        });
+                        const reasonMarkdown = variants[''].markdown;
+                        const reasonHtml = variants[''].html;
 
                         const tr = $(`
                     <tr class="selectable-reason">
@@ -456,6 +658,11 @@ function removalreasons () {
                             title: this.title,
                             flairText: this.flairText,
                             flairCSS: this.flairCSS,
+                            ruleText,
+                            variants,
+                            usernote: this.usernote,
+                            usageKey: this.usageKey,
+                            reportReasons: rule ? [rule.short_name, rule.violation_reason].filter(Boolean).map(text => text.toLowerCase()) : [],
                         });
 
                         if (this.title) {
@@ -466,18 +673,37 @@ function removalreasons () {
                             tr.find('.removal-reason-title').remove();
                         }
 
-                        popup.find('#reason-table').append(tr);
+                        reasonRows[this.rule] = (reasonRows[this.rule] || []).concat(tr);
                     });
 
-                    // Pre-fill reason input elements which have IDs.
-                    popup.find('.reason-content input[id], .reason-content textarea[id]').each(async function () {
-                        this.id = `reason-input-${data.subreddit}-${this.id}`;
-                        this.value = await TB.storage.getCache('RReasons', this.id, this.value);
-                    });
+                    const $reasonTable = popup.find('#reason-table');
+                    if (Object.keys(reasonRows).some(rule => rule)) {
+                        // Rules that were removed since the reasons were linked still get their own group, after the existing ones.
+                        const groups = rules.map(rule => rule.short_name).filter(rule => reasonRows[rule]);
+                        Object.keys(reasonRows).forEach(rule => {
+                            if (rule && !groups.includes(rule)) {
+                                groups.push(rule);
+                            }
+                        });
+                        if (reasonRows['']) {
+                            groups.push('');
+                        }
+
+                        groups.forEach(rule => {
+                            const $group = $('<tr class="reason-rule-group"><td colspan="4"></td></tr>');
+                            $group.find('td').text(rule || 'Other reasons');
+                            $reasonTable.append($group, reasonRows[rule]);
+                        });
+                    } else {
+                        $reasonTable.append(reasonRows['']);
+                    }
                 }
 
                 function openPopup () {
+                    const $reasonPopup = $(`#reason-popup-${data.subreddit}`);
+
                     // Reset state
+                    hideRemovalPreview($popup);
                     $popup.find('attrs').attr(data);
                     $popup.find('.selectable-reason input[type=checkbox]:checked').prop('checked', false);
                     $popup.find('.selectable-reason.reason-selected').removeClass('reason-selected');
@@ -485,6 +711,20 @@ function removalreasons () {
                     $popup.find('.error-highlight').removeClass('error-highlight');
                     $popup.find('.mte-thread-link').attr('href', data.url).text(data.title);
 
+                    // Show the reasons in the language last used in this subreddit.
+                    const language = rememberedLanguage(data.subreddit, data.languages);
+                    $reasonPopup.find('.reason-language').val(language);
+                    showLanguage($reasonPopup, language);
+
+                    // Pre-select the reasons linked to the rules the item was reported for.
+                    const reports = (info.reports || []).map(report => String(report).toLowerCase());
+                    $reasonPopup.find('.selectable-reason').each(function () {
+                        const $reason = $(this);
+                        if ($reason.data('reportReasons').some(reportReason => reports.includes(reportReason))) {
+                            $reason.click();
+                        }
+                    });
+
                     // Open popup
                     /* popup.css({
                     display: ''
@@ -492,9 +732,38 @@ function removalreasons () {
                     $popup.show();
                     $body.css('overflow', 'hidden');
                 }
-            });
+            })));
         });
 
+        // Pre-fill reason input elements which have IDs.
+        function prefillReasonInputs (popup, subreddit) {
+            popup.find('.reason-content input[id], .reason-content textarea[id]').each(async function () {
+                this.id = `reason-input-${subreddit}-${this.id}`;
+                this.value = await TB.storage.getCache('RReasons', this.id, this.value);
+            });
+        }
+
+        // Switches the header, footer and reasons of a popup to one of its languages, '' being the default language.
+        function showLanguage (popup, language) {
+            const headerVariants = popup.data('headerVariants'),
+                  {header, footer, headerHtml, footerHtml} = headerVariants[language] || headerVariants[''];
+
+            popup.find('attrs').attr({header, footer});
+            popup.find('#reason-header').html(headerHtml);
+            popup.find('#reason-footer').html(footerHtml);
+
+            popup.find('.selectable-reason').each(function () {
+                const $reason = $(this),
+                      variants = $reason.data('variants'),
+                      variant = variants[language] || variants[''];
+
+                $reason.data('reasonMarkdown', variant.markdown);
+                $reason.find('.removal-reason-title').html(variant.title);
+                $reason.find('.reason-content').html(`${variant.html}<br />`);
+            });
+            prefillReasonInputs(popup, popup.find('attrs').attr('subreddit'));
+        }
+
         // Popup events
         function removePopup (popup) {
             popup.remove();
@@ -505,6 +774,15 @@ function removalreasons () {
             e.stopPropagation();
         });
 
+        // Another language picked
+        $body.on('change', '.reason-popup .reason-language', function () {
+            const popup = $(this).parents('.reason-popup'),
+                  language = $(this).val();
+
+            rememberLanguage(popup.find('attrs').attr('subreddit'), language);
+            showLanguage(popup, language);
+        });
+
         // Selection/deselection of removal reasons
         $body.on('click', '.selectable-reason', function (e) {
             const $this = $(this);
@@ -550,20 +828,22 @@ function removalreasons () {
                   status = popup.find('.status'),
                   attrs = popup.find('attrs');
 
-            TBApi.approveThing(attrs.attr('fullname'), successful => {
+            TBApi.auditAs('removal reason: cancel', () => TBApi.approveThing(attrs.attr('fullname'), successful => {
                 if (successful) {
                     removePopup(popup);
                 } else {
                     status.text(APPROVE_ERROR);
                 }
-            });
+            }));
         });
 
-        // 'save' button clicked
-        $body.on('click', '.reason-popup .save', function () {
-            const popup = $(this).parents('.reason-popup'),
-                  notifyBy = popup.find('.reason-type:checked').val(),
+        // Assembles the removal message and everything that will be done with it from the popup's current state.
+        // Returns nothing, after showing what's wrong in the popup's status, if the popup isn't filled in correctly.
+        function assembleRemoval (popup) {
+            const notifyBy = popup.find('.reason-type:checked').val(),
                   notifyAsSub = popup.find('.reason-as-sub').prop('checked'),
+                  modmailHideAuthor = popup.find('.reason-modmail-hide-author').prop('checked'),
+                  modmailArchive = popup.find('.reason-modmail-archive').prop('checked'),
                   notifySticky = popup.find('.reason-sticky').prop('checked') && !popup.find('.reason-sticky').prop('disabled'),
                   actionLockThread = popup.find('.action-lock-thread').prop('checked') && !popup.find('.action-lock-thread').prop('disabled'),
                   actionLockComment = popup.find('.action-lock-comment').prop('checked') && !popup.find('.action-lock-comment').prop('disabled'),
@@ -588,6 +868,11 @@ function removalreasons () {
                       raw_body: '',
                       uri_body: '',
                       uri_title: '',
+                      created: '',
+                      removed_by: '',
+                      author_created: '',
+                      author_age: '',
+                      rule_list: '',
                   };
             let subject = attrs.attr('subject'),
                 logTitle = attrs.attr('logTitle');
@@ -601,12 +886,16 @@ function removalreasons () {
             const noneSelected = $('body').find('.reason-type:checked').val();
             if (!checked.length && noneSelected !== 'none') {
                 popup.find('#reason-table').addClass('error-highlight');
-                return status.text(NO_REASON_ERROR);
+                status.text(NO_REASON_ERROR);
+                return;
             }
 
             // Get custom reason input
             const markdownReasons = [];
             const customInput = [];
+            const ruleTexts = [];
+            const usernoteReasons = [];
+            const reasonKeys = [];
             let flairText = '', flairCSS = '';
 
             checked.closest('.selectable-reason').each(function () {
@@ -628,6 +917,16 @@ function removalreasons () {
                 if ($this.data('flairCSS')) {
                     flairCSS += ` ${$this.data('flairCSS')}`;
                 }
+
+                if ($this.data('ruleText') && !ruleTexts.includes($this.data('ruleText'))) {
+                    ruleTexts.push($this.data('ruleText'));
+                }
+
+                reasonKeys.push($this.data('usageKey'));
+                usernoteReasons.push({
+                    usernote: $this.data('usernote'),
+                    title: TBHelpers.htmlDecode($this.data('title') || '') || `reason ${$this.data('reasonId') + 1}`,
+                });
             });
 
             // Generate reason text
@@ -677,60 +976,252 @@ function removalreasons () {
                 data[i] = attrs.attr(i);
             }
 
+            // {rule} in the header or footer stands for the rules of all selected reasons.
+            reason = reason.replace(/{rule}/g, () => ruleTexts.join('\n\n'));
+
+            // {reason} and {modmaillink} in the log title and {loglink} in the message are only filled in when sending.
+            // A modmail conversation is started before the removal is logged, so it can't link to the log post.
+            const unknownTokens = TBHelpers.unknownTokens(data, `${reason} ${subject}`, notifyBy === 'modmail' ? [] : ['loglink']);
+            TBHelpers.unknownTokens(data, logTitle, ['reason', 'modmaillink']).forEach(token => {
+                if (!unknownTokens.includes(token)) {
+                    unknownTokens.push(token);
+                }
+            });
+
             reason = TBHelpers.replaceTokens(data, reason);
             subject = TBHelpers.replaceTokens(data, subject);
             logTitle = TBHelpers.replaceTokens(data, logTitle);
 
-            // At this point make extra sure the item actually does get removed
-            TBApi.removeThing(data.fullname, false);
+            // Finalize log reasons
+            if (data.logSub && logTitle.indexOf('{reason}') >= 0) {
+                // Check if a log reason is selected
+                if (!logReason) {
+                    popup.find('#log-reason-input').addClass('error-highlight');
+                    status.text(LOG_REASON_MISSING_ERROR);
+                    return;
+                }
+
+                // Set log reason to entered reason
+                logTitle = logTitle.replace('{reason}', logReason);
+            }
+
+            status.hide();
+
+            return {
+                data,
+                // // Clean up reason
+                reason: reason.trim(),
+                reasonlength,
+                subject,
+                logTitle,
+                flairText: flairText.trim(),
+                flairCSS: flairCSS.trim(),
+                notifyBy,
+                notifyAsSub,
+                modmailHideAuthor,
+                modmailArchive,
+                notifySticky,
+                actionLockThread,
+                actionLockComment,
+                noneSelected,
+                unknownTokens,
+                usernotes: reasonUsernotes(data, usernoteReasons),
+                reasonKeys,
+                feature: `removal reason: ${usernoteReasons.map(reason => reason.title).join(', ')}`,
+            };
+        }
+
+        // Describes where the removal will end up, in the order it happens.
+        function removalChannels (removal) {
+            const {data, notifyBy} = removal,
+                  channels = [];
+
+            if (data.logSub) {
+                channels.push(`Log post in /r/${data.logSub}`);
+            }
+            if (removal.reasonlength > 0 && (notifyBy === 'reply' || notifyBy === 'both')) {
+                const details = ['distinguished'];
+                if (removal.notifySticky) {
+                    details.push('stickied');
+                }
+                if (removal.actionLockComment) {
+                    details.push('locked');
+                }
+                channels.push(`Reply to the ${data.kind} (${details.join(', ')})`);
+            }
+            if (removal.reasonlength > 0 && (notifyBy === 'pm' || notifyBy === 'both')) {
+                channels.push(removal.notifyAsSub ? `PM to /u/${data.author} as /r/${data.subreddit}` : `PM to /u/${data.author} from /u/${data.mod}`);
+            }
+            if (removal.reasonlength > 0 && notifyBy === 'modmail') {
+                const details = [removal.modmailHideAuthor ? 'username hidden' : `signed by /u/${data.mod}`];
+                if (removal.modmailArchive) {
+                    details.push('archived');
+                }
+                channels.push(`New modmail conversation with /u/${data.author} from /r/${data.subreddit} (${details.join(', ')})`);
+                if (data.logSub) {
+                    channels.push('Comment with the conversation link on the log post');
+                }
+            }
+            if ((removal.flairText || removal.flairCSS) && data.kind !== 'comment') {
+                channels.push(`Flair the post (text: "${removal.flairText}", class: "${removal.flairCSS}")`);
+            }
+            if (removal.actionLockThread) {
+                channels.push('Lock the thread');
+            }
+            return channels;
+        }
+
+        // Replaces the popup's contents with a preview of the final message, which can still be edited.
+        function showRemovalPreview (popup, removal) {
+            const parser = SnuOwnd.getParser(SnuOwnd.getRedditRenderer()),
+                  {data, notifyBy} = removal,
+                  sendsPM = notifyBy === 'pm' || notifyBy === 'both' || notifyBy === 'modmail',
+                  $preview = $(`<div class="reason-popup-preview">
+                    ${removal.unknownTokens.length ? `<p class="preview-unknown-tokens">Unknown tokens, these will be sent as they are: ${removal.unknownTokens.map(token => TBHelpers.htmlEncode(`{${token}}`)).join(', ')}</p>` : ''}
+                    <p><b>This will be done:</b></p>
+                    <ul class="preview-channels">
+                        ${removalChannels(removal).map(channel => `<li>${TBHelpers.htmlEncode(channel)}</li>`).join('')}
+                    </ul>
+                    ${sendsPM ? `<p><b>${notifyBy === 'modmail' ? 'Modmail' : 'PM'} subject:</b> <span class="preview-subject"></span></p>` : ''}
+                    ${data.logSub ? '<p><b>Log post title:</b> <span class="preview-log-title"></span></p>' : ''}
+                    <p><b>Message</b> (markdown, you can still edit it):</p>
+                    <textarea class="preview-text tb-input"></textarea>
+                    ${data.logSub ? '<p class="preview-note">{loglink} is replaced with the link to the log post once it has been made.</p>' : ''}
+                    ${sendsPM ? `<p class="preview-note">The ${notifyBy === 'modmail' ? 'modmail' : 'PM'} ends with a link to the removed ${data.kind}.</p>` : ''}
+                    <p><b>Preview:</b></p>
+                    <div class="styled-reason preview-rendered md"></div>
+                </div>`);
+
+            $preview.find('.preview-subject').text(removal.subject);
+            $preview.find('.preview-log-title').text(TBHelpers.removeQuotes(removal.logTitle));
+            $preview.find('.preview-text').val(removal.reason).on('input', function () {
+                $(this).removeClass('error-highlight');
+                $preview.find('.preview-rendered').html(parser.render(this.value));
+            }).trigger('input');
+
+            popup.data('removal', removal);
+            popup.find('.reason-popup-innercontent').hide().after($preview);
+            popup.find('.save, .no-reason').hide();
+            popup.find('.preview-confirm, .preview-back').show();
+        }
+
+        function hideRemovalPreview (popup) {
+            popup.find('.reason-popup-preview').remove();
+            popup.find('.reason-popup-innercontent').show();
+            popup.find('.preview-confirm, .preview-back').hide();
+            popup.find('.save, .no-reason').show();
+        }
+
+        // Removes the item and sends the removal message everywhere the removal asks for.
+        // done is called once, when every step has finished: without arguments when all of them worked, or with the
+        // error texts of the ones that failed.
+        function sendRemoval (removal, done) {
+            const {data, notifyBy, notifyAsSub, modmailHideAuthor, modmailArchive, notifySticky, actionLockThread, actionLockComment, noneSelected, reasonlength, subject, logTitle, flairText, flairCSS} = removal;
+            let reason = removal.reason;
+
+            // Every call to TBApi is attributed to the removal reasons in the audit log, even when made from a callback.
+            const audited = fn => TBApi.auditAs(removal.feature, fn);
+
+            // Steps can run side by side. Each one is started before the step that starts it has finished, so
+            // done can't be called while a step is still running.
+            const errors = [];
+            let runningSteps = 0;
+            function startStep () {
+                runningSteps++;
+                return error => {
+                    if (error) {
+                        errors.push(error);
+                    }
+                    if (--runningSteps === 0) {
+                        done(errors.length ? errors.join(', ') : undefined);
+                    }
+                };
+            }
+
+            // Sending the message is one step, from the modmail or log post to the PM.
+            const finish = startStep();
 
-            // // Clean up reason
-            reason = reason.trim();
+            // At this point make extra sure the item actually does get removed
+            const removed = startStep();
+            audited(() => TBApi.removeThing(data.fullname, false, successful => {
+                removed(successful ? null : REMOVE_ERROR);
+            }));
 
             // Flair post if required
-            flairText = flairText.trim();
-            flairCSS = flairCSS.trim();
             if ((flairText !== '' || flairCSS !== '') && data.kind !== 'comment') {
-                TBApi.flairPost(data.fullname, data.subreddit, flairText, flairCSS, successful => {
+                const flaired = startStep();
+                audited(() => TBApi.flairPost(data.fullname, data.subreddit, flairText, flairCSS, successful => {
+                    flaired(successful ? null : FLAIR_ERROR);
+                }));
+            }
+
+            // A new modmail conversation is started first, so the log can link to it.
+            if (notifyBy === 'modmail' && reasonlength > 0) {
+                sendModmail();
+            } else {
+                logRemoval(null);
+            }
+
+            // Start a new modmail conversation with the user
+            function sendModmail () {
+                const text = `${reason}\n\n---\n[[Link to your ${data.kind}](${data.url})]`;
+
+                self.log(`Sending removal message by modmail as ${data.subreddit}`);
+                audited(() => TBApi.sendModmail(data.author, subject, text, data.subreddit, modmailHideAuthor, (successful, conversation) => {
                     if (!successful) {
-                        status.text(FLAIR_ERROR);
+                        finish(MODMAIL_ERROR);
+                        return;
                     }
-                });
+
+                    const modmailLink = `https://mod.reddit.com/mail/perma/${conversation.id}`;
+                    self.log(`Removal reason sent by modmail: ${modmailLink}`);
+
+                    if (modmailArchive) {
+                        // The message is out already, so a failed archive shouldn't stop the rest.
+                        audited(() => TBApi.archiveModmail(conversation.id, successful => {
+                            if (!successful) {
+                                TB.ui.textFeedback(MODMAIL_ARCHIVE_ERROR, TB.ui.FEEDBACK_NEGATIVE);
+                            }
+                        }));
+                    }
+
+                    logRemoval(modmailLink);
+                }));
             }
 
             // If logSub is not empty, log the removal and send a PM/comment
-            if (data.logSub) {
-                // Finalize log reasons
-                if (logTitle.indexOf('{reason}') >= 0) {
-                // Check if a log reason is selected
-                    if (!logReason) {
-                        popup.find('#log-reason-input').addClass('error-highlight');
-                        return status.text(LOG_REASON_MISSING_ERROR);
+            function logRemoval (modmailLink) {
+                if (!data.logSub) {
+                    // Otherwise only send PM and/or comment
+                    if (modmailLink) {
+                        finish();
+                    } else {
+                        sendRemovalMessage(null);
                     }
-
-                    // Set log reason to entered reason
-                    logTitle = logTitle.replace('{reason}', logReason);
+                    return;
                 }
 
                 // Submit log post
-                TBApi.postLink(data.url || data.link, TBHelpers.removeQuotes(logTitle), data.logSub, (successful, response) => {
+                audited(() => TBApi.postLink(data.url || data.link, TBHelpers.removeQuotes(logTitle.replace('{modmaillink}', modmailLink || '')), data.logSub, (successful, response) => {
                     if (successful) {
                         const logThingId = response.json.data.name,
                               loglinkToken = response.json.data.url;
-                        TBApi.approveThing(logThingId);
-
-                        if (noneSelected === 'none') {
-                            removePopup(popup);
+                        audited(() => TBApi.approveThing(logThingId));
+
+                        if (modmailLink) {
+                            // Record where the removal reason went on the log post itself.
+                            audited(() => TBApi.postComment(logThingId, `Removal reason sent by modmail: ${modmailLink}`, () => {
+                                finish();
+                            }));
+                        } else if (noneSelected === 'none') {
+                            finish();
                         } else {
                             sendRemovalMessage(loglinkToken);
                         }
                     } else {
-                        status.text(LOG_POST_ERROR);
+                        finish(LOG_POST_ERROR);
                     }
-                });
-            } else {
-                // Otherwise only send PM and/or comment
-                sendRemovalMessage(null);
+                }));
             }
 
             // Function to send PM and comment
@@ -739,16 +1230,15 @@ function removalreasons () {
                 if (reasonlength < 1) {
                     if ((flairText !== '' || flairCSS !== '') && data.kind !== 'comment') {
                     // We'll flair only flair, we are done here.
-                        return removePopup(popup);
+                        return finish();
                     } else {
-                        return status.text(NO_REASON_ERROR);
+                        return finish(NO_REASON_ERROR);
                     }
                 }
 
                 // Check if a valid notification type is selected
                 if (!notifyBy && !notifyAsSub || logLink == null && notifyBy === 'none') {
-                    popup.find('#buttons').addClass('error-highlight');
-                    return status.text(NO_REPLY_TYPE_ERROR);
+                    return finish(NO_REPLY_TYPE_ERROR);
                 }
 
                 // Finalize the reason with optional log post link
@@ -762,52 +1252,46 @@ function removalreasons () {
                 // Reply to submission/comment
                 if (notifyByReply) {
                     self.log('Sending removal message by comment reply.');
-                    TBApi.postComment(data.fullname, reason, (successful, response) => {
+                    audited(() => TBApi.postComment(data.fullname, reason, (successful, response) => {
                         if (successful) {
                         // Check if reddit actually returned an error
                             if (response.json.errors.length > 0) {
-                                status.text(`${REPLY_ERROR}: ${response.json.errors[0][1]}`);
+                                finish(`${REPLY_ERROR}: ${response.json.errors[0][1]}`);
                             } else {
                             // Distinguish the new reply, stickying if necessary
-                                TBApi.distinguishThing(response.json.data.things[0].data.id, notifySticky, successful => {
+                                audited(() => TBApi.distinguishThing(response.json.data.things[0].data.id, notifySticky, successful => {
                                     if (successful) {
                                         if (notifyByPM) {
                                             sendPM();
                                         } else {
-                                            removePopup(popup);
+                                            finish();
                                         }
                                     } else {
-                                        status.text(DISTINGUISH_ERROR);
+                                        finish(DISTINGUISH_ERROR);
                                     }
-                                });
+                                }));
 
                                 // Also lock the thread if requested
                                 if (actionLockThread) {
+                                    const locked = startStep();
                                     self.log(`Fullname of this link: ${data.fullname}`);
-                                    TBApi.lock(data.fullname, successful => {
-                                        if (successful) {
-                                            removePopup(popup);
-                                        } else {
-                                            status.text(LOCK_POST_ERROR);
-                                        }
-                                    });
+                                    audited(() => TBApi.lock(data.fullname, successful => {
+                                        locked(successful ? null : LOCK_POST_ERROR);
+                                    }));
                                 }
                                 if (actionLockComment) {
-                                    const commentId = response.json.data.things[0].data.id;
+                                    const commentId = response.json.data.things[0].data.id,
+                                          locked = startStep();
                                     self.log(`Fullname of reply: ${commentId}`);
-                                    TBApi.lock(commentId, successful => {
-                                        if (successful) {
-                                            removePopup(popup);
-                                        } else {
-                                            status.text(LOCK_COMMENT_ERROR);
-                                        }
-                                    });
+                                    audited(() => TBApi.lock(commentId, successful => {
+                                        locked(successful ? null : LOCK_COMMENT_ERROR);
+                                    }));
                                 }
                             }
                         } else {
-                            status.text(REPLY_ERROR);
+                            finish(REPLY_ERROR);
                         }
-                    });
+                    }));
                 } else if (notifyByPM) {
                     sendPM();
                 }
@@ -818,25 +1302,331 @@ function removalreasons () {
 
                     if (notifyAsSub) {
                         self.log(`Sending removal message by PM as ${data.subreddit}`);
-                        TBApi.sendMessage(data.author, subject, text, data.subreddit, successful => {
+                        audited(() => TBApi.sendMessage(data.author, subject, text, data.subreddit, successful => {
                             if (successful) {
-                                removePopup(popup);
+                                finish();
                             } else {
-                                status.text(PM_ERROR);
+                                finish(PM_ERROR);
                             }
-                        });
+                        }));
                     } else {
                         self.log('Sending removal message by PM as current user');
-                        TBApi.sendPM(data.author, subject, text, successful => {
+                        audited(() => TBApi.sendPM(data.author, subject, text, successful => {
                             if (successful) {
-                                removePopup(popup);
+                                finish();
                             } else {
-                                status.text(PM_ERROR);
+                                finish(PM_ERROR);
                             }
-                        });
+                        }));
                     }
                 }
             }
+        }
+
+        // Sends the removal assembled from a popup, showing errors in it and closing it when done.
+        function sendPopupRemoval (popup, removal) {
+            const status = popup.find('.status');
+
+            status.text(STATUS_DEFAULT_TEXT);
+            status.show();
+
+            sendRemoval(removal, error => {
+                if (!error) {
+                    removePopup(popup);
+                    addRemovalUsernotes(removal.data.subreddit, [removal]);
+                    self.recordReasonUsage(removal.data.subreddit, removal.reasonKeys);
+                    return;
+                }
+                if (error.includes(NO_REPLY_TYPE_ERROR)) {
+                    popup.find('#buttons').addClass('error-highlight');
+                }
+                status.text(error);
+            });
+        }
+
+        // The text of a reason's markdown, with its inputs left at their default values.
+        // The markdown is parsed into a separate document, so nothing in it loads or runs.
+        function defaultReasonText (markdown) {
+            const body = new DOMParser().parseFromString(markdown, 'text/html').body;
+            let text = '';
+
+            (function addText (node) {
+                node.childNodes.forEach(child => {
+                    if (child.nodeType === Node.TEXT_NODE) {
+                        text += child.textContent;
+                        return;
+                    }
+                    if (child.nodeType !== Node.ELEMENT_NODE) {
+                        return;
+                    }
+                    switch (child.tagName.toLowerCase()) {
+                    case 'br':
+                        text += '\n\n';
+                        break;
+                    case 'select':
+                    case 'input':
+                    case 'textarea':
+                        text += child.value;
+                        break;
+                    default:
+                        addText(child);
+                    }
+                });
+            })(body);
+            return text;
+        }
+
+        // Assembles the removal of one of many items removed with the same reasons.
+        function assembleMassRemoval (info, config, rules, options) {
+            const data = removalData(info);
+            addReasonsConfig(data, config);
+
+            const reasons = options.reasons.map(index => data.reasons[index]),
+                  titledReasons = options.reasons.map(index => ({
+                      usernote: data.reasons[index].usernote,
+                      title: TBHelpers.htmlDecode(data.reasons[index].title || '') || `reason ${index + 1}`,
+                  })),
+                  {header, footer} = headerVariant(data, options.language);
+            let reason = reasons.map(reason => {
+                const rule = rules.find(subredditRule => subredditRule.short_name === reason.rule);
+                return defaultReasonText(`${reasonVariant(reason, options.language).text.replace(/{rule}/g, () => ruleMarkdown(rule))}\n\n`);
+            }).join('');
+
+            const reasonlength = reason.trim().length;
+            if (options.header && header) {
+                reason = `${TBHelpers.htmlDecode(header)}\n\n${reason}`;
+            }
+            if (options.footer && footer) {
+                reason += `\n\n${TBHelpers.htmlDecode(footer)}`;
+            }
+            const ruleTexts = reasons.map(reason => ruleMarkdown(rules.find(rule => rule.short_name === reason.rule))).filter(Boolean);
+            reason = reason.replace(/{rule}/g, () => ruleTexts.filter((text, index) => ruleTexts.indexOf(text) === index).join('\n\n'));
+
+            const messageTokens = `${reason} ${data.subject}`,
+                  unknownTokens = TBHelpers.unknownTokens(data, messageTokens, options.notifyBy === 'modmail' ? [] : ['loglink']);
+            TBHelpers.unknownTokens(data, data.logTitle, ['reason', 'modmaillink']).forEach(token => {
+                if (!unknownTokens.includes(token)) {
+                    unknownTokens.push(token);
+                }
+            });
+
+            return {
+                data,
+                reason: TBHelpers.replaceTokens(data, reason).trim(),
+                reasonlength,
+                subject: TBHelpers.replaceTokens(data, data.subject),
+                logTitle: TBHelpers.replaceTokens(data, data.logTitle).replace('{reason}', options.logReason),
+                flairText: reasons.map(reason => reason.flairText).filter(Boolean).join(' '),
+                flairCSS: reasons.map(reason => reason.flairCSS).filter(Boolean).join(' '),
+                notifyBy: options.notifyBy,
+                notifyAsSub: self.setting('reasonAsSub'),
+                modmailHideAuthor: self.setting('reasonAsSub'),
+                modmailArchive: self.setting('reasonModmailArchive'),
+                notifySticky: self.setting('reasonSticky') && data.kind === 'submission',
+                actionLockThread: self.setting('actionLock') && data.kind === 'submission',
+                actionLockComment: self.setting('actionLockComment'),
+                noneSelected: options.notifyBy,
+                unknownTokens,
+                reasonKeys: options.reasons.map(index => data.reasons[index].usageKey),
+                usernotes: reasonUsernotes(data, titledReasons),
+                feature: `mass removal: ${titledReasons.map(reason => reason.title).join(', ')}`,
+            };
+        }
+
+        /**
+         * Removes many items of one subreddit with the same removal reasons, each author gets a message with the tokens of their own item.
+         * Shows a popup to pick the reasons, and a report of the items that failed once everything is sent.
+         * @param {array} infos the items to remove, as given by TBCore.getThingInfo
+         * @param {function} callback called with the fullnames of the items that were removed and notified
+         */
+        self.massRemoveWithReason = function (infos, callback) {
+            const subreddit = infos[0].subreddit;
+
+            getRemovalReasons(subreddit, config => {
+                if (!config || !config.reasons.length) {
+                    TB.ui.textFeedback(`/r/${subreddit} has no removal reasons.`, TB.ui.FEEDBACK_NEGATIVE);
+                    return;
+                }
+
+                const reasonData = {};
+                addReasonsConfig(reasonData, config);
+                const language = rememberedLanguage(subreddit, reasonData.languages);
+                const askLogReason = reasonData.logSub && reasonData.logTitle.indexOf('{reason}') >= 0,
+                      hasInputs = reasonData.reasons.some(reason => /<(select|input|textarea)/i.test(reason.text));
+
+                // Reasons are listed by their title, or the start of their text.
+                const reasonLabel = (reason, language) => {
+                    const {title, text} = reasonVariant(reason, language);
+                    return title || TBHelpers.htmlEncode(text.substr(0, 100));
+                };
+                const reasonRows = reasonData.reasons.map((reason, index) => `
+                    <li>
+                        <label><input type="checkbox" class="mass-reason" value="${index}"> <span class="mass-reason-label">${reasonLabel(reason, language)}</span></label>
+                    </li>`).join('');
+                const languageOptions = [''].concat(reasonData.languages).map(option => `<option value="${TBHelpers.htmlEncode(option)}"${option === language ? ' selected' : ''}>${TBHelpers.htmlEncode(option) || reasonData.defaultLanguage}</option>`).join('');
+
+                const $popup = TB.ui.popup({
+                    title: `Remove ${infos.length} items from /r/${subreddit} with a reason`,
+                    tabs: [{
+                        content: `
+                            <p>Every author gets their own message, with the tokens filled in for their item.</p>
+                            ${reasonData.languages.length ? `<p>Language: <select class="mass-language tb-action-button">${languageOptions}</select></p>` : ''}
+                            <ul class="mass-reasons">${reasonRows}</ul>
+                            ${hasInputs ? '<p class="mass-note">Inputs in the reasons are sent with their default value.</p>' : ''}
+                            ${reasonData.header ? '<label><input type="checkbox" class="mass-header" checked> Include header.</label><br>' : ''}
+                            ${reasonData.footer ? '<label><input type="checkbox" class="mass-footer" checked> Include footer.</label><br>' : ''}
+                            <label>Send as:
+                                <select class="mass-notify tb-action-button">
+                                    <option value="reply">reply</option>
+                                    <option value="pm">PM</option>
+                                    <option value="both">PM and reply</option>
+                                    <option value="modmail">new modmail conversation</option>
+                                    ${reasonData.logSub ? '<option value="none">none, only log the removals</option>' : ''}
+                                </select>
+                            </label>
+                            ${askLogReason ? '<p>Log reason: <input type="text" class="mass-log-reason tb-input"></p>' : ''}
+                            <p class="mass-unknown-tokens" style="display: none"></p>
+                            <p class="mass-progress"></p>
+                            <ul class="mass-failures"></ul>
+                        `,
+                        footer: '<button class="mass-send tb-action-button">remove and send</button>',
+                    }],
+                    cssClass: 'reason-mass-popup',
+                }).appendTo('body');
+
+                $popup.on('click', '.close', () => {
+                    $popup.remove();
+                });
+
+                $popup.on('change', '.mass-language', function () {
+                    const language = this.value;
+                    rememberLanguage(subreddit, language);
+                    $popup.find('.mass-reason').each(function () {
+                        $(this).siblings('.mass-reason-label').html(reasonLabel(reasonData.reasons[this.value], language));
+                    });
+                });
+
+                $popup.on('click', '.mass-send', function () {
+                    const $send = $(this),
+                          options = {
+                              reasons: $popup.find('.mass-reason:checked').map(function () {
+                                  return parseInt(this.value);
+                              }).get(),
+                              header: $popup.find('.mass-header').prop('checked'),
+                              footer: $popup.find('.mass-footer').prop('checked'),
+                              notifyBy: $popup.find('.mass-notify').val(),
+                              logReason: $popup.find('.mass-log-reason').val() || '',
+                              language: $popup.find('.mass-language').val() || '',
+                          };
+
+                    if (!options.reasons.length) {
+                        TB.ui.textFeedback(NO_REASON_ERROR, TB.ui.FEEDBACK_NEGATIVE);
+                        return;
+                    }
+                    if (askLogReason && !options.logReason) {
+                        TB.ui.textFeedback(LOG_REASON_MISSING_ERROR, TB.ui.FEEDBACK_NEGATIVE);
+                        return;
+                    }
+
+                    const send = rules => {
+                        // Broken reasons are reported once, based on the first item, before anything is sent.
+                        const {unknownTokens} = assembleMassRemoval(infos[0], config, rules, options);
+                        if (unknownTokens.length && !$send.data('confirmed')) {
+                            $popup.find('.mass-unknown-tokens').text(`Unknown tokens, these will be sent as they are: ${unknownTokens.map(token => `{${token}}`).join(', ')}`).show();
+                            $send.data('confirmed', true).text('send anyway');
+                            return;
+                        }
+
+                        $popup.find('.mass-reason, .mass-header, .mass-footer, .mass-notify, .mass-log-reason, .mass-language').prop('disabled', true);
+                        $send.remove();
+
+                        const $progress = $popup.find('.mass-progress'),
+                              removals = [];
+                        let finished = 0;
+
+                        TBCore.forEachChunkedRateLimit(infos, 10, info => {
+                            removals.push(new Promise(resolve => {
+                                TBCore.addTokenInfo(info, reasonsTokenText(config), info => {
+                                    const removal = assembleMassRemoval(info, config, rules, options);
+                                    sendRemoval(removal, error => {
+                                        resolve({info, removal, error});
+                                    });
+                                });
+                            }).then(result => {
+                                $progress.text(`${++finished} of ${infos.length} items done`);
+                                return result;
+                            }));
+                        }, () => {
+                            Promise.all(removals).then(results => {
+                                const failed = results.filter(result => result.error);
+
+                                $progress.text(`${results.length - failed.length} of ${infos.length} items were removed with a reason${failed.length ? ', these failed:' : '.'}`);
+                                failed.forEach(({info, error}) => {
+                                    const $failure = $('<li><a target="_blank"></a>: <span></span></li>');
+                                    $failure.find('a').attr('href', info.permalink).text(`${info.kind} by /u/${info.author}`);
+                                    $failure.find('span').text(error);
+                                    $popup.find('.mass-failures').append($failure);
+                                });
+
+                                const removed = results.filter(result => !result.error);
+                                addRemovalUsernotes(subreddit, removed.map(result => result.removal));
+                                self.recordReasonUsage(subreddit, [].concat(...removed.map(result => result.removal.reasonKeys)));
+                                callback(removed.map(result => result.info.id));
+                            });
+                        });
+                    };
+
+                    // Only reasons linked to a rule need the subreddit's rules.
+                    if (options.reasons.some(index => reasonData.reasons[index].rule)) {
+                        TBApi.getRules(subreddit, (success, response) => {
+                            send(success && response.rules ? response.rules : []);
+                        });
+                    } else {
+                        send([]);
+                    }
+                });
+            });
+        };
+
+        // 'send' button clicked
+        $body.on('click', '.reason-popup .save', function () {
+            const popup = $(this).parents('.reason-popup'),
+                  removal = assembleRemoval(popup);
+            if (!removal) {
+                return;
+            }
+
+            // Only messages are worth a preview, a removal that is only logged or flaired is sent right away.
+            // Unknown tokens are always shown, so broken reasons are noticed before they reach the user.
+            if (removal.unknownTokens.length || self.setting('previewMessage') && removal.reasonlength > 0 && removal.notifyBy && removal.notifyBy !== 'none') {
+                showRemovalPreview(popup, removal);
+            } else {
+                sendPopupRemoval(popup, removal);
+            }
+        });
+
+        // 'confirm' button clicked in the preview
+        $body.on('click', '.reason-popup .preview-confirm', function () {
+            const popup = $(this).parents('.reason-popup'),
+                  removal = popup.data('removal'),
+                  $text = popup.find('.reason-popup-preview .preview-text'),
+                  reason = $text.val().trim();
+
+            // The message was emptied in the preview, it would be sent without any text.
+            if (!reason) {
+                $text.addClass('error-highlight');
+                popup.find('.status').text(EMPTY_PREVIEW_ERROR).show();
+                return;
+            }
+
+            removal.reason = reason;
+            hideRemovalPreview(popup);
+            sendPopupRemoval(popup, removal);
+        });
+
+        // 'back' button clicked in the preview
+        $body.on('click', '.reason-popup .preview-back', function () {
+            hideRemovalPreview($(this).parents('.reason-popup'));
         });
 
         // Reason textarea/input/select changed
@@ -845,6 +1635,95 @@ function removalreasons () {
         });
     };
 
+    // Wiki page the moderators of a subreddit publish their removal reason usage to.
+    self.USAGE_PAGE = 'toolbox/reasonusage';
+
+    // Reasons are told apart by their title, or the start of their text, so their usage is kept when they are sorted.
+    self.reasonUsageKey = function (reason) {
+        return reason.title || unescape(reason.text || '').substr(0, 100);
+    };
+
+    /**
+     * How often the current mod used the removal reasons of a subreddit, from this browser.
+     * @param {string} subreddit
+     * @returns {object} `{count, lastUsed}` by reason usage key, `lastUsed` in milliseconds.
+     */
+    self.reasonUsage = function (subreddit) {
+        const usage = self.setting('reasonUsage')[TBCore.logged] || {};
+        return usage[subreddit] || {};
+    };
+
+    // Counts a use of each of the given reason usage keys, a key can be given more than once.
+    self.recordReasonUsage = function (subreddit, keys) {
+        if (!keys.length) {
+            return;
+        }
+
+        const usage = self.setting('reasonUsage'),
+              modUsage = usage[TBCore.logged] = usage[TBCore.logged] || {},
+              subUsage = modUsage[subreddit] = modUsage[subreddit] || {},
+              now = new Date().getTime();
+
+        keys.forEach(key => {
+            subUsage[key] = {
+                count: (subUsage[key] ? subUsage[key].count : 0) + 1,
+                lastUsed: now,
+            };
+        });
+        self.setting('reasonUsage', usage);
+    };
+
+    /**
+     * Reads the removal reason usage the moderators of a subreddit published.
+     * @param {string} subreddit
+     * @param {function} callback Called with the usage by mod, in the format of `reasonUsage`, empty if nothing was published,
+     * or false if the page could not be read, and the revision that was read.
+     */
+    self.getPublishedReasonUsage = function (subreddit, callback) {
+        TBApi.readFromWiki(subreddit, self.USAGE_PAGE, true, (resp, revision) => {
+            if (!resp || resp === TBCore.WIKI_PAGE_UNKNOWN) {
+                callback(false);
+                return;
+            }
+            if (resp === TBCore.NO_WIKI_PAGE || !resp.mods) {
+                callback({}, revision);
+                return;
+            }
+            TBStorage.purifyObject(resp);
+            callback(resp.mods, revision);
+        });
+    };
+
+    // How often publishing is retried when another mod published in between reading and writing the usage page.
+    const MAX_PUBLISH_RETRIES = 3;
+
+    /**
+     * Publishes the current mod's usage of a subreddit's removal reasons to the usage wiki page, next to that of the other mods.
+     * @param {string} subreddit
+     * @param {function} callback Called with a boolean telling if the usage was published.
+     */
+    self.publishReasonUsage = function (subreddit, callback) {
+        (function publish (retries) {
+            self.getPublishedReasonUsage(subreddit, (mods, revision) => {
+                if (!mods) {
+                    self.log('Could not read the published removal reason usage, not publishing');
+                    callback(false);
+                    return;
+                }
+
+                mods[TBCore.logged] = self.reasonUsage(subreddit);
+                TBApi.postToWiki(self.USAGE_PAGE, subreddit, {ver: 1, mods}, `publish removal reason usage of ${TBCore.logged}`, true, false, (success, jqXHR) => {
+                    if (!success && jqXHR && jqXHR.status === 409 && retries < MAX_PUBLISH_RETRIES) {
+                        self.log('Removal reason usage was published by someone else in between, retrying');
+                        publish(retries + 1);
+                        return;
+                    }
+                    callback(success);
+                }, revision);
+            });
+        })(0);
+    };
+
     TB.register_module(self);
 } // end removalreasons()
 
@@ -22,6 +22,11 @@ function usernotes () {
         default: false,
         title: 'Show current usernote on ban/contrib/mod pages',
     });
+    self.register_setting('saveSnapshot', {
+        type: 'boolean',
+        default: true,
+        title: 'Save an excerpt of the linked post or comment with new notes by default',
+    });
     self.register_setting('maxChars', {
         type: 'number',
         default: 20,
@@ -273,7 +278,7 @@ function usernotes () {
             }
 
             self.log(`Processing sub: ${subreddit}`);
-            self.getUserNotes(subreddit, (status, notes) => {
+            self.getUserNotes(subreddit, (status, notes, notesSubreddit) => {
                 self.log(`Usernotes retrieved for ${subreddit}: status=${status}`);
                 if (!status) {
                     return;
@@ -296,7 +301,7 @@ function usernotes () {
                 }
 
                 self.getSubredditColors(subreddit, colors => {
-                    setNotes(notes, subreddit, colors, customThings);
+                    setNotes(notes, subreddit, colors, customThings, notesSubreddit);
                 });
             });
         }
@@ -314,7 +319,7 @@ function usernotes () {
             return true;
         }
 
-        function setNotes (notes, subreddit, colors, customThings) {
+        function setNotes (notes, subreddit, colors, customThings, notesSubreddit) {
             self.log(`Setting notes for ${subreddit}`);
             self.startProfile('set-notes');
 
@@ -359,11 +364,12 @@ function usernotes () {
                 }
 
                 const noteData = u.notes[0],
-                      date = new Date(noteData.time);
+                      date = new Date(noteData.time),
+                      source = noteSource(noteData, notesSubreddit, subreddit);
                 let note = noteData.note;
 
                 // Add title before note concat.
-                $usertag.attr('title', `${note} (${date.toLocaleString()})`);
+                $usertag.attr('title', `${source ? `[/r/${source}] ` : ''}${note} (${date.toLocaleString()})`);
 
                 if (note.length > maxChars) {
                     note = `${note.substring(0, maxChars)}...`;
@@ -378,6 +384,9 @@ function usernotes () {
                 }
 
                 $usertag.empty();
+                if (source) {
+                    $usertag.append($('<span>').addClass('note-source').text(`/r/${source} `));
+                }
                 $usertag.append($('<b>').text(note)).append($('<span>').text(u.notes.length > 1 ? `  (+${u.notes.length - 1})` : ''));
 
                 let type = u.notes[0].type;
@@ -398,7 +407,14 @@ function usernotes () {
             });
         }
 
-        function createUserPopup (subreddit, user, link, disableLink, e) {
+        // The subreddit a note was added in, if it isn't the one it's shown in. Notes stored in a subreddit's own
+        // notes page don't record it, so their source is the subreddit the notes are stored in.
+        function noteSource (note, notesSubreddit, subreddit) {
+            const source = note.sub || notesSubreddit;
+            return source && source.toLowerCase() !== subreddit.toLowerCase() ? source : '';
+        }
+
+        function createUserPopup (subreddit, user, link, disableLink, e, snapshot) {
             const $overlay = $(e.target).closest('.tb-page-overlay');
             let $appendTo;
             if ($overlay.length) {
@@ -426,12 +442,17 @@ function usernotes () {
                                     <tr class="utagger-type-list"></tr>
                                 </tbody>
                             </table>
+                            <div class="utagger-escalation tb-info" style="display: none;"></div>
                             <div class="utagger-input-wrapper">
                                 <input type="text" class="utagger-user-note tb-input" id="utagger-user-note-input" placeholder="something about the user..." data-link="${link}" data-subreddit="${subreddit}" data-user="${user}">
                                 <label class="utagger-include-link">
                                     <input type="checkbox" ${!disableLink ? 'checked' : ''}${disableLink ? 'disabled' : ''}>
                                     <span>Include link</span>
                                 </label>
+                                ${snapshot ? `<label class="utagger-include-snapshot" title="${TBHelpers.htmlEncode(snapshot)}">
+                                    <input type="checkbox" ${self.setting('saveSnapshot') ? 'checked' : ''}>
+                                    <span>Save excerpt</span>
+                                </label>` : ''}
                             </div>
                         </div>
                     `,
@@ -446,6 +467,8 @@ function usernotes () {
                 cssClass: 'utagger-popup',
             });
 
+            $popup.find('.utagger-user-note').data('snapshot', snapshot);
+
             // defined so we can easily add things to these specific areas after loading the notes.
             const $noteList = $popup.find('.utagger-content .utagger-notes tbody'),
                   $typeList = $popup.find('.utagger-types tbody .utagger-type-list');
@@ -498,7 +521,7 @@ function usernotes () {
 
                 // Add notes
                 self.log('Adding notes to dialog');
-                self.getUserNotes(subreddit, (status, notes) => {
+                self.getUserNotes(subreddit, (status, notes, notesSubreddit) => {
                     if (!status) {
                         return;
                     }
@@ -526,7 +549,8 @@ function usernotes () {
                             // which searches a saved version based on ID.
                             const noteId = Math.trunc(note.time / 1000) * 1000,
                                   noteString = TBHelpers.htmlEncode(note.note),
-                                  timeString = new Date(note.time).toLocaleString();
+                                  timeString = new Date(note.time).toLocaleString(),
+                                  source = noteSource(note, notesSubreddit, subreddit);
 
                             // Construct some elements separately
                             let timeDiv;
@@ -550,11 +574,13 @@ function usernotes () {
                             <tr class="utagger-note">
                                 <td class="utagger-notes-td1">
                                     <div class="utagger-mod">${note.mod}</div>
+                                    ${source ? `<div class="note-source">/r/${source}</div>` : ''}
                                     ${timeDiv}
                                 </td>
                                 <td class="utagger-notes-td2">
                                     ${typeSpan}
                                     <span class="note-text">${noteString}</span>
+                                    ${note.snapshot ? `<div class="note-snapshot">${TBHelpers.htmlEncode(note.snapshot)}</div>` : ''}
                                 </td>
                                 <td class="utagger-notes-td3"><i class="utagger-remove-note tb-icons tb-icons-negative" data-note-id="${noteId}">${TBui.icons.delete}</i></td>
                             </tr>
@@ -564,6 +590,15 @@ function usernotes () {
                         // No notes on user
                         $popup.find('#utagger-user-note-input').focus();
                     }
+
+                    self.getEscalationSuggestion(subreddit, user, suggestion => {
+                        if (!suggestion) {
+                            return;
+                        }
+                        $popup.find('.utagger-type input').prop('checked', false);
+                        $popup.find(`.utagger-type .type-input-${suggestion.type.key}`).prop('checked', true);
+                        $popup.find('.utagger-escalation').text(`Suggested next step: ${suggestion.description}`).show();
+                    });
                 });
             });
         }
@@ -599,7 +634,7 @@ function usernotes () {
 
                 TBCore.getApiThingInfo(thingID, subreddit, true, info => {
                     link = info.permalink;
-                    createUserPopup(subreddit, user, link, disableLink, e);
+                    createUserPopup(subreddit, user, link, disableLink, e, self._snapshotFromInfo(info));
                 });
             }
         });
@@ -625,6 +660,7 @@ function usernotes () {
             if ($popup.find('.utagger-include-link input').is(':checked')) {
                 link = $unote.attr('data-link');
             }
+            const snapshot = $popup.find('.utagger-include-snapshot input').is(':checked') ? $unote.data('snapshot') : '';
 
             console.log('deleteNote', deleteNote);
             // Check new note data states
@@ -651,7 +687,11 @@ function usernotes () {
                 mod: TBCore.logged,
                 link,
                 type,
+                sub: subreddit,
             };
+            if (snapshot) {
+                note.snapshot = snapshot;
+            }
 
             const userNotes = {
                 notes: [],
@@ -819,6 +859,8 @@ function usernotes () {
             subUsenotes = notes;
             self.log('showing notes');
 
+            $body.find('#tb-un-history-wrap').attr('data-pages', ['usernotes'].concat(notes.shardPages || []).join(','));
+
             const userCount = Object.keys(notes.users).length;
             let noteCount = 0;
 
@@ -874,9 +916,10 @@ function usernotes () {
                                     <a class="note-content" href="${val.link}">${val.note}</a>
                                 </span>
                                 <span>-</span>
-                                <span class="mod">by /u/${val.mod}</span>
+                                <span class="mod">by /u/${val.mod}${val.sub && val.sub.toLowerCase() !== sub.toLowerCase() ? ` in /r/${val.sub}` : ''}</span>
                                 <span>-</span>
                                 <time class="live-timestamp timeago" datetime="${timeISO}" title="${timeHuman}">${timeISO}</time>
+                                ${val.snapshot ? `<div class="note-snapshot">${TBHelpers.htmlEncode(val.snapshot)}</div>` : ''}
                             </div>`);
 
                             // notes.append($note);
@@ -900,8 +943,11 @@ function usernotes () {
                         const infoHTML = `
             <div class="tb-un-info">
                 <span class="tb-info">There are {{usercount}} users with {{notecount}} notes.</span>
+                {{shardinfo}}
+                <span class="tb-info tb-un-retention-info"></span>
                 <br> <input id="tb-unote-user-search" type="text" class="tb-input" placeholder="search for user"> <input id="tb-unote-contents-search" type="text" class="tb-input" placeholder="search for note contents">
                 <br><br>
+                <a id="tb-un-retention" class="tb-general-button" href="javascript:;" title="Remove notes that are older than the retention rules set for their type in the toolbox config">Apply retention rules</a>
                 <a id="tb-un-prune-sb" class="tb-general-button" href="javascript:;">Prune deleted/suspended profiles</a>
                 <label><input type="checkbox" class="tb-prune-old"/> Also prune notes from accounts that have been inactive for more than </label>
                 <select class="tb-prune-length">
@@ -918,10 +964,29 @@ function usernotes () {
                         const infocontent = TBHelpers.template(infoHTML, {
                             usercount: userCount,
                             notecount: noteCount,
+                            shardinfo: notes.shardPages && notes.shardPages.length ?
+                                `<span class="tb-info">These notes are spread over ${notes.shardPages.length + 1} wiki pages.</span>
+                                <a id="tb-un-rebalance" class="tb-general-button" href="javascript:;">Rebalance pages</a>` :
+                                '',
                         });
 
                         $siteTable.prepend(infocontent);
 
+                        self.getNotesSubreddit(sub, notesSubreddit => {
+                            if (notesSubreddit !== sub) {
+                                $siteTable.find('.tb-un-info > .tb-info').first().after(`<span class="tb-info"> These notes are shared with /r/${notesSubreddit}, where they are stored.</span>`);
+                            }
+                        });
+
+                        self.getNotesConfig(sub, config => {
+                            const expired = self._expiredNotes(notes, config && config.usernoteRetention, colors, TBHelpers.getTime());
+                            if (expired.length) {
+                                $siteTable.find('.tb-un-retention-info').text(`${expired.length} notes are past their retention period.`);
+                            }
+                        });
+
+                        showNoteStatistics(sub, notes, colors);
+
                         // Set events after all items are loaded.
                         noteManagerRun();
 
@@ -1026,6 +1091,32 @@ function usernotes () {
                 );
             });
 
+            $body.find('#tb-un-retention').on('click', () => {
+                showRetentionReport(sub);
+            });
+
+            // Spread the users evenly over all wiki pages, biggest users first.
+            $body.find('#tb-un-rebalance').on('click', () => {
+                const pages = ['usernotes'].concat(subUsenotes.shardPages),
+                      pageSizes = {},
+                      userSize = user => JSON.stringify(subUsenotes.users[user].notes).length;
+
+                pages.forEach(page => {
+                    pageSizes[page] = 0;
+                });
+
+                subUsenotes.shardIndex = {};
+                Object.keys(subUsenotes.users).sort((a, b) => userSize(b) - userSize(a)).forEach(user => {
+                    const page = pages.reduce((smallest, page) => pageSizes[page] < pageSizes[smallest] ? page : smallest);
+                    pageSizes[page] += userSize(user);
+                    if (page !== 'usernotes') {
+                        subUsenotes.shardIndex[user] = page;
+                    }
+                });
+
+                self.saveUserNotes(sub, subUsenotes, `rebalanced usernotes over ${pages.length} pages`, null, true);
+            });
+
             // Update user status.
             $body.find('.tb-un-refresh').on('click', function () {
                 const $this = $(this),
@@ -1079,295 +1170,1322 @@ function usernotes () {
             self.endProfile('manager-run');
         }
 
-        $body.on('click', '#tb-un-config-link', function () {
-            TB.ui.longLoadSpinner(true, 'Loading usernotes', TB.ui.FEEDBACK_NEUTRAL);
-            const sub = $(this).attr('data-subreddit');
-
-            TB.ui.overlay(
-                `usernotes - /r/${sub}`,
-                [
-                    {
-                        title: `usernotes - /r/${sub}`,
-                        tooltip: `edit usernotes for /r/${sub}`,
-                        content: `<div id="tb-un-note-content-wrap" data-subreddit="${sub}"></div>`,
-                        footer: '',
-                    },
-                ],
-                [], // extra header buttons
-                'tb-un-editor', // class
-                false // single overriding footer
-            ).appendTo('body');
-            $body.css('overflow', 'hidden');
+        // Re-renders the notes tab with the given notes.
+        function refreshSubNotes (notes) {
             fetchActive = true;
+            $body.find('#tb-un-note-content-wrap').empty();
+            showSubNotes(true, notes);
+        }
 
-            self.getUserNotes(sub, showSubNotes);
-        });
+        // Shows what the retention rules would remove from the current notes and lets the user apply them in one save.
+        function showRetentionReport (sub) {
+            TB.ui.longLoadSpinner(true, 'Checking retention rules', TB.ui.FEEDBACK_NEUTRAL);
+            self.getNotesConfig(sub, (config, notesSubreddit) => {
+                const retention = config && config.usernoteRetention;
+                if (!retention || !Object.keys(retention).length) {
+                    TB.ui.longLoadSpinner(false, `/r/${notesSubreddit} has no retention rules, set them in the user note types of the toolbox config`, TB.ui.FEEDBACK_NEGATIVE);
+                    return;
+                }
 
-        $body.on('click', '.tb-un-editor .close', () => {
-            fetchActive = false;
-            $('.tb-un-editor').remove();
-            $body.css('overflow', 'auto');
-        });
-    };
+                // Always work on the current version of the notes, not the one loaded in the manager.
+                self.getUserNotes(sub, (success, notes) => {
+                    if (!success || !notes) {
+                        TB.ui.longLoadSpinner(false, `Could not read the usernotes of /r/${sub}`, TB.ui.FEEDBACK_NEGATIVE);
+                        return;
+                    }
 
-    // Get usernotes from wiki
-    self.getUserNotes = function (subreddit, callback, forceSkipCache) {
-        self.log(`Getting usernotes (sub=${subreddit})`);
+                    self.getSubredditColors(sub, colors => {
+                        TB.ui.longLoadSpinner(false);
 
-        if (!callback) {
-            return;
-        }
-        if (!subreddit) {
-            return returnFalse();
-        }
+                        const expired = self._expiredNotes(notes, retention, colors, TBHelpers.getTime()),
+                              perType = {};
+                        expired.forEach(({type}) => {
+                            perType[type.key] = perType[type.key] || {type, count: 0};
+                            perType[type.key].count++;
+                        });
 
-        // Check cache (if not skipped)
-        if (!forceSkipCache) {
-            if (TBCore.noteCache[subreddit] !== undefined) {
-                self.log('notes found in cache');
-                if (callback) {
-                    callback(true, TBCore.noteCache[subreddit], subreddit);
-                }
-                return;
-            }
+                        const rules = colors.concat({key: 'none', text: 'notes without a known type'}).map(type => `<li>${TBHelpers.htmlEncode(type.text)}: ${retention[type.key] ? `deleted after ${retention[type.key]} days` : 'kept forever'}</li>`).join(''),
+                              summary = Object.keys(perType).map(key => `<li>${perType[key].count} ${key === 'none' ? 'notes without a known type' : TBHelpers.htmlEncode(perType[key].type.text)}</li>`).join(''),
+                              previewRows = expired.slice(0, 100).map(({user, note, type}) => `<tr>
+                                <td>/u/${user}</td>
+                                <td>${type.key !== 'none' ? `<span class="note-type" style="color: ${type.color}">[${TBHelpers.htmlEncode(type.text)}]</span>` : ''}
+                                    ${TBHelpers.htmlEncode(note.note)}</td>
+                                <td>/u/${note.mod}</td>
+                                <td>${new Date(note.time).toLocaleDateString()}</td>
+                              </tr>`).join('');
+
+                        const $popup = TB.ui.popup({
+                            title: `Usernote retention for /r/${sub}`,
+                            tabs: [{
+                                content: `
+                                    <p>Retention rules:</p>
+                                    <ul class="tb-un-retention-rules">${rules}</ul>
+                                    <p>${expired.length} notes would be removed${expired.length ? ':' : '.'}</p>
+                                    <ul class="tb-un-retention-rules">${summary}</ul>
+                                    ${expired.length > 100 ? '<p>Only the first 100 notes are shown below.</p>' : ''}
+                                    <table class="tb-un-import-preview">${previewRows}</table>
+                                `,
+                                footer: `<input class="tb-un-retention-confirm tb-action-button" type="button" value="remove ${expired.length} notes" ${expired.length ? '' : 'disabled'}>`,
+                            }],
+                            cssClass: 'tb-un-import-popup',
+                        }).appendTo('.tb-un-editor');
+
+                        $popup.on('click', '.close', () => {
+                            $popup.remove();
+                        });
 
-            if (TBCore.noNotes.indexOf(subreddit) !== -1) {
-                self.log('found in NoNotes cache');
-                returnFalse();
-                return;
-            }
+                        $popup.on('click', '.tb-un-retention-confirm', () => {
+                            $popup.remove();
+
+                            expired.forEach(({user, note}) => {
+                                const userNotes = notes.users[user].notes;
+                                userNotes.splice(userNotes.indexOf(note), 1);
+                                if (!userNotes.length) {
+                                    delete notes.users[user];
+                                }
+                            });
+
+                            self.saveUserNotes(sub, notes, `applied retention rules, removed ${expired.length} notes`, succ => {
+                                if (succ) {
+                                    refreshSubNotes(notes);
+                                }
+                            });
+                        });
+                    });
+                }, true);
+            });
         }
 
-        // Read notes from wiki page
-        TBApi.readFromWiki(subreddit, 'usernotes', true, resp => {
-        // Errors when reading notes
-        // // These errors are bad
-            if (!resp || resp === TBCore.WIKI_PAGE_UNKNOWN) {
-                self.log('Usernotes read error: WIKI_PAGE_UNKNOWN');
-                returnFalse(TBCore.WIKI_PAGE_UNKNOWN);
-                return;
-            }
-            if (resp === TBCore.NO_WIKI_PAGE) {
-                TBCore.updateCache('noNotes', subreddit, false);
-                self.log('Usernotes read error: NO_WIKI_PAGE');
-                returnFalse(TBCore.NO_WIKI_PAGE);
-                return;
-            }
-            // // No notes exist in wiki page
-            if (resp.length < 1) {
-                TBCore.updateCache('noNotes', subreddit, false);
-                self.log('Usernotes read error: wiki empty');
-                returnFalse();
+        const EXPORT_FIELDS = ['user', 'note', 'type', 'type_label', 'mod', 'timestamp', 'permalink', 'snapshot'];
+
+        function exportSubNotes (format) {
+            const sub = $body.find('#tb-un-note-content-wrap').attr('data-subreddit');
+
+            if (!subUsenotes) {
+                TB.ui.textFeedback(`No usernotes to export for /r/${sub}`, TB.ui.FEEDBACK_NEGATIVE);
                 return;
             }
 
-            TBStorage.purifyObject(resp);
-            // Success
-            self.log('We have notes!');
-            const notes = convertNotes(resp, subreddit);
+            self.getSubredditColors(sub, colors => {
+                const rows = self._notesToExportRows(subUsenotes, colors),
+                      filename = `${sub}-usernotes-${new Date().toISOString().slice(0, 10)}.${format}`;
 
-            // We have notes, cache them and return them.
-            TBCore.updateCache('noteCache', notes, subreddit);
-            if (callback) {
-                callback(true, notes, subreddit);
-            }
-        });
+                if (format === 'csv') {
+                    const csvRows = rows.map(row => EXPORT_FIELDS.map(field => row[field]));
+                    csvRows.unshift(EXPORT_FIELDS);
+                    TBHelpers.downloadFile(filename, TBHelpers.toCSV(csvRows), 'text/csv');
+                } else {
+                    TBHelpers.downloadFile(filename, JSON.stringify({
+                        subreddit: sub,
+                        exported: new Date().toISOString(),
+                        notes: rows,
+                    }, null, 2), 'application/json');
+                }
 
-        function returnFalse (pageError) {
-            if (callback) {
-                callback(false, null, pageError);
-            }
+                TB.ui.textFeedback(`Exported ${rows.length} notes`, TB.ui.FEEDBACK_POSITIVE);
+            });
         }
 
-        // Inflate notes from the database, converting between versions if necessary.
-        function convertNotes (notes, sub) {
-            self.log(`Notes ver: ${notes.ver}`);
+        function showImportPreview (sub, notes, plan, invalid, colors) {
+            const users = plan.toAdd.map(add => add.user).filter((user, i, arr) => arr.indexOf(user) === i),
+                  previewRows = plan.toAdd.slice(0, 100).map(({user, note}) => {
+                      const type = self._findSubredditColor(colors, note.type);
+                      return `<tr>
+                        <td>/u/${user}</td>
+                        <td>${type.key !== 'none' ? `<span class="note-type" style="color: ${type.color}">[${TBHelpers.htmlEncode(type.text)}]</span>` : ''}
+                            ${TBHelpers.htmlEncode(note.note)}</td>
+                        <td>/u/${note.mod}</td>
+                        <td>${new Date(note.time).toLocaleDateString()}</td>
+                      </tr>`;
+                  }).join('');
 
-            if (notes.ver >= TBCore.notesMinSchema) {
-                if (notes.ver <= 5) {
-                    notes = inflateNotes(notes, sub);
-                } else if (notes.ver <= 6) {
-                    notes = decompressBlob(notes);
-                    notes = inflateNotes(notes, sub);
-                }
+            const $popup = TB.ui.popup({
+                title: `Import usernotes into /r/${sub}`,
+                tabs: [{
+                    content: `
+                        <p>${plan.toAdd.length} new notes for ${users.length} users.
+                        ${plan.duplicates} duplicate notes and ${invalid} invalid rows will be skipped.</p>
+                        ${plan.toAdd.length > 100 ? '<p>Only the first 100 new notes are shown below.</p>' : ''}
+                        <table class="tb-un-import-preview">${previewRows}</table>
+                    `,
+                    footer: `<input class="tb-un-import-confirm tb-action-button" type="button" value="import ${plan.toAdd.length} notes" ${plan.toAdd.length ? '' : 'disabled'}>`,
+                }],
+                cssClass: 'tb-un-import-popup',
+            }).appendTo('.tb-un-editor');
 
-                if (notes.ver <= TBCore.notesDeprecatedSchema) {
-                    self.log(`Found deprecated notes in ${subreddit}: S${notes.ver}`);
+            $popup.on('click', '.close', () => {
+                $popup.remove();
+            });
 
-                    TBCore.alert(
-                        `The usernotes in /r/${subreddit} are stored using schema v${notes.ver}, which is deprecated. Please click here to updated to v${TBCore.notesSchema}.`,
-                        clicked => {
-                            if (clicked) {
-                            // Upgrade notes
-                                self.saveUserNotes(subreddit, notes, `Updated notes to schema v${TBCore.notesSchema}`, succ => {
-                                    if (succ) {
-                                        TB.ui.textFeedback('Notes saved!', TB.ui.FEEDBACK_POSITIVE);
-                                        TBCore.clearCache();
-                                        window.location.reload();
-                                    }
-                                });
-                            }
-                        }
-                    );
+            $popup.on('click', '.tb-un-import-confirm', () => {
+                $popup.remove();
+
+                plan.toAdd.forEach(({user, note}) => {
+                    if (!notes.users[user]) {
+                        notes.users[user] = {name: user, notes: []};
+                    }
+                    notes.users[user].notes.push(note);
+                });
+                users.forEach(user => {
+                    notes.users[user].notes.sort((a, b) => b.time - a.time);
+                });
+
+                self.saveUserNotes(sub, notes, `imported ${plan.toAdd.length} notes for ${users.length} users`, succ => {
+                    if (succ) {
+                        refreshSubNotes(notes);
+                    }
+                });
+            });
+        }
+
+        function importSubNotes (file) {
+            const sub = $body.find('#tb-un-note-content-wrap').attr('data-subreddit'),
+                  reader = new FileReader();
+
+            reader.onload = () => {
+                let parsed;
+                try {
+                    parsed = self._parseImportFile(file.name, reader.result);
+                } catch (error) {
+                    self.log(error);
+                    TB.ui.textFeedback(`Could not read ${file.name}: ${error.message}`, TB.ui.FEEDBACK_NEGATIVE, 5000);
+                    return;
                 }
 
-                return notes;
-            } else {
-                returnFalse();
-            }
+                // Always merge with the current version of the notes, not the one loaded in the manager.
+                self.getUserNotes(sub, (success, notes, pageError) => {
+                    if (!success && pageError === TBCore.WIKI_PAGE_UNKNOWN) {
+                        TB.ui.textFeedback(`Could not read the usernotes of /r/${sub}`, TB.ui.FEEDBACK_NEGATIVE, 5000);
+                        return;
+                    }
+                    if (!notes) {
+                        notes = {
+                            ver: TBCore.notesSchema,
+                            users: {},
+                        };
+                    }
+
+                    self.getSubredditColors(sub, colors => {
+                        showImportPreview(sub, notes, self._planImport(notes, parsed.imported, colors), parsed.invalid, colors);
+                    });
+                }, true);
+            };
+            reader.readAsText(file);
+        }
 
-            // Utilities
-            function decompressBlob (notes) {
-                const decompressed = TBHelpers.zlibInflate(notes.blob);
+        $body.on('click', '#tb-un-export-json', () => {
+            exportSubNotes('json');
+        });
 
-                // Update notes with actual notes
-                delete notes.blob;
-                notes.users = JSON.parse(decompressed);
-                return notes;
+        $body.on('click', '#tb-un-export-csv', () => {
+            exportSubNotes('csv');
+        });
+
+        $body.on('click', '#tb-un-import', () => {
+            $body.find('#tb-un-import-file').val('').click();
+        });
+
+        $body.on('change', '#tb-un-import-file', function () {
+            if (this.files.length) {
+                importSubNotes(this.files[0]);
             }
-        }
+        });
 
-        // Decompress notes from the database into a more useful format
-        function inflateNotes (deflated, sub) {
-            const inflated = {
-                ver: deflated.ver,
-                users: {},
-            };
+        const HISTORY_LENGTH = 25;
+        let historyRemovedNotes = [];
 
-            const mgr = new self._constManager(deflated.constants);
+        // Lists the notes that were added to and removed from each user between two versions of a notes page.
+        function diffNotes (previous, current) {
+            const changes = [],
+                  userNotes = (notes, user) => notes && notes.users[user] ? notes.users[user].notes : [],
+                  users = Object.keys(Object.assign({}, previous ? previous.users : {}, current ? current.users : {}));
 
-            self.log('Inflating all usernotes');
-            $.each(deflated.users, (name, user) => {
-                inflated.users[name] = {
-                    name,
-                    notes: user.ns.map(note => inflateNote(deflated.ver, mgr, note, sub)),
-                };
+            users.forEach(user => {
+                const previousKeys = userNotes(previous, user).map(self._noteKey),
+                      currentKeys = userNotes(current, user).map(self._noteKey);
+
+                userNotes(current, user).forEach(note => {
+                    if (!previousKeys.includes(self._noteKey(note))) {
+                        changes.push({user, note, added: true});
+                    }
+                });
+                userNotes(previous, user).forEach(note => {
+                    if (!currentKeys.includes(self._noteKey(note))) {
+                        changes.push({user, note, added: false});
+                    }
+                });
             });
 
-            return inflated;
+            return changes;
         }
 
-        // Inflates a single note
-        function inflateNote (version, mgr, note, sub) {
-            return {
-                note: TBHelpers.htmlDecode(note.n),
-                time: inflateTime(version, note.t),
-                mod: mgr.get('users', note.m),
-                link: self._unsquashPermalink(sub, note.l),
-                type: mgr.get('warnings', note.w),
-            };
-        }
+        const STATS_MONTHS = 24,
+              STATS_TOP_USERS = 25;
 
-        // Date/time utilities
-        function inflateTime (version, time) {
-            if (version >= 5 && time.toString().length <= 10) {
-                time *= 1000;
+        // Moderators by subreddit, so showing the statistics again doesn't fetch them again.
+        const moderatorCache = {};
+
+        function getModerators (sub) {
+            if (!moderatorCache[sub]) {
+                moderatorCache[sub] = TBApi.getJSON(`/r/${sub}/about/moderators.json`).then(resp => {
+                    TBStorage.purifyObject(resp);
+                    return resp.data.children.map(mod => mod.name);
+                }).catch(error => {
+                    delete moderatorCache[sub];
+                    throw error;
+                });
             }
-            return time;
+            return moderatorCache[sub];
         }
-    };
 
-    // Save usernotes to wiki
-    self.saveUserNotes = function (sub, notes, reason, callback) {
-        TBui.textFeedback('Saving user notes...', TBui.FEEDBACK_NEUTRAL);
+        // Renders rows of {label, count} as a table with a bar for each count.
+        function statsTable (title, rows, className = '') {
+            const max = Math.max(1, ...rows.map(row => row.count));
+            return `<div class="tb-un-stats-section ${className}">
+                <h2>${title}</h2>
+                <table class="tb-un-stats-table">
+                    ${rows.map(({label, count}) => `<tr>
+                        <td class="tb-un-stats-label">${label}</td>
+                        <td class="tb-un-stats-count">${count}</td>
+                        <td class="tb-un-stats-bar"><div style="width: ${Math.round(count / max * 100)}%"></div></td>
+                    </tr>`).join('') || '<tr><td>No notes.</td></tr>'}
+                </table>
+            </div>`;
+        }
 
-        // Upgrade usernotes if only upgrading
-        if (notes.ver < TBCore.notesSchema) {
-            notes.ver = TBCore.notesSchema;
+        function showNoteStatistics (sub, notes, colors) {
+            const $stats = $body.find('#tb-un-stats-wrap');
+
+            self.getNotesConfig(sub, (config, notesSubreddit) => {
+                const stats = self._noteStatistics(notes, colors, config && config.escalationLadder),
+                      byCount = (a, b) => b.count - a.count,
+                      typeRows = Object.keys(stats.perType).map(key => {
+                          const type = self._findSubredditColor(colors, key);
+                          return {
+                              label: type.key === 'none' ? '(no type)' : `<span style="color: ${type.color}">${TBHelpers.htmlEncode(type.text)}</span>`,
+                              count: stats.perType[key],
+                          };
+                      }).sort(byCount),
+                      modRows = Object.keys(stats.perMod).map(mod => ({label: `/u/${mod}`, count: stats.perMod[mod]})).sort(byCount),
+                      monthRows = Object.keys(stats.perMonth).sort().reverse().slice(0, STATS_MONTHS).map(month => ({label: month, count: stats.perMonth[month]})),
+                      userRows = stats.topUsers.slice(0, STATS_TOP_USERS).map(({user, count}) => ({label: `<a href="${TBCore.link(`/u/${user}`)}">/u/${user}</a>`, count}));
+
+                $stats.html(`
+                    <div class="tb-un-stats-info">
+                        ${stats.noteCount} notes on ${stats.userCount} users.
+                        ${stats.escalating} users have notes that escalate in severity${config && config.escalationLadder && config.escalationLadder.length ? ' along the escalation ladder' : ', going by the order of the note types'}.
+                    </div>
+                    ${statsTable('notes per type', typeRows)}
+                    ${statsTable('notes per moderator', modRows, 'tb-un-stats-mods')}
+                    ${statsTable(`notes per month (last ${STATS_MONTHS} months with notes)`, monthRows)}
+                    ${statsTable('most noted users', userRows)}
+                `);
+
+                // Current moderators without any notes are worth knowing about too. Shared notes are written by the
+                // moderators of the subreddit they are stored in.
+                getModerators(notesSubreddit).then(moderators => {
+                    const silentMods = moderators.filter(mod => !stats.perMod[mod]);
+                    if (silentMods.length) {
+                        $stats.find('.tb-un-stats-mods .tb-un-stats-table').append(silentMods.map(mod => `<tr class="tb-un-stats-silent">
+                            <td class="tb-un-stats-label">/u/${mod}</td>
+                            <td class="tb-un-stats-count">0</td>
+                            <td class="tb-un-stats-bar"></td>
+                        </tr>`).join(''));
+                    }
+                }).catch(error => {
+                    self.log(`Could not get the moderators of /r/${notesSubreddit}: ${error}`);
+                });
+            });
         }
 
-        // Update cache
-        TBCore.updateCache('noteCache', notes, sub);
+        function showNotesHistory (revisions, versions, colors) {
+            const $history = $body.find('#tb-un-history-wrap'),
+                  $list = $history.find('.tb-un-history-list');
 
-        // Deconvert notes to wiki format
-        notes = deconvertNotes(notes);
+            historyRemovedNotes = [];
+            $list.empty();
 
-        // Write to wiki page
-        self.log('Saving usernotes to wiki...');
-        TBApi.postToWiki('usernotes', sub, notes, reason, true, false, (succ, jqXHR) => {
-            if (succ) {
-                self.log('Success!');
-                TBui.textFeedback('Save complete!', TBui.FEEDBACK_POSITIVE, 2000);
-                if (callback) {
-                    callback(true);
+            revisions.forEach((revision, i) => {
+                const isFirstRevision = i === revisions.length - 1 && revisions.length <= HISTORY_LENGTH;
+
+                // The oldest revision we fetched is only there to compare the next one against.
+                if (i === revisions.length - 1 && !isFirstRevision) {
+                    return;
                 }
-            } else {
-                self.log(`Failure: ${jqXHR.status}`);
-                let reason;
-                if (jqXHR.status === 413) {
-                    reason = 'usernotes full';
-                } else {
-                    reason = jqXHR.responseText;
+
+                const author = revision.author ? revision.author.data.name : '[unknown]',
+                      $revision = $(`<div class="tb-un-history-revision">
+                          <div class="tb-un-history-header">
+                              <time title="${TBHelpers.timeConverterRead(revision.timestamp)}">${new Date(revision.timestamp * 1000).toLocaleString()}</time>
+                              <span>-</span>
+                              <span class="mod">saved by /u/${author}</span>
+                              ${revision.page !== 'usernotes' ? `<span>-</span><span class="page">${revision.page}</span>` : ''}
+                              <span>-</span>
+                              <span class="reason">${TBHelpers.htmlEncode(revision.reason || '')}</span>
+                          </div>
+                      </div>`);
+
+                if (!versions[i] || !isFirstRevision && !versions[i + 1]) {
+                    $revision.append('<div class="tb-un-history-change">This revision could not be read.</div>');
+                    $list.append($revision);
+                    return;
                 }
-                self.log(`  ${reason}`);
 
-                TBui.textFeedback(`Save failed: ${reason}`, TBui.FEEDBACK_NEGATIVE, 5000);
-                if (callback) {
-                    callback(false);
+                const changes = diffNotes(isFirstRevision ? null : versions[i + 1], versions[i]);
+                if (!changes.length) {
+                    $revision.append('<div class="tb-un-history-change">No notes were added or removed.</div>');
                 }
-            }
-        });
 
-        // Deconvert notes to wiki format based on version (note: deconversion is actually conversion in the opposite direction)
-        function deconvertNotes (notes) {
-            if (notes.ver <= 5) {
-                self.log('  Is v5');
-                return deflateNotes(notes);
-            } else if (notes.ver <= 6) {
-                self.log('  Is v6');
-                notes = deflateNotes(notes);
-                return compressBlob(notes);
-            }
-            return notes;
+                changes.forEach(({user, note, added}) => {
+                    const type = self._findSubredditColor(colors, note.type);
+                    let restoreButton = '';
 
-            // Utilities
-            function compressBlob (notes) {
-            // Make way for the blob!
-                const users = JSON.stringify(notes.users);
-                delete notes.users;
+                    if (!added) {
+                        historyRemovedNotes.push({user, note});
+                        restoreButton = `<a class="tb-un-history-restore tb-general-button" data-note="${historyRemovedNotes.length - 1}" href="javascript:;">restore</a>`;
+                    }
 
-                notes.blob = TBHelpers.zlibDeflate(users);
-                return notes;
-            }
+                    $revision.append(`<div class="tb-un-history-change ${added ? 'added' : 'removed'}">
+                        <span class="tb-un-history-sign">${added ? '+' : '-'}</span>
+                        <a href="${TBCore.link(`/u/${user}`)}">/u/${user}</a>
+                        ${type.key !== 'none' ? `<span class="note-type" style="color: ${type.color}">[${TBHelpers.htmlEncode(type.text)}]</span>` : ''}
+                        <span class="note-text">${TBHelpers.htmlEncode(note.note)}</span>
+                        <span class="mod">by /u/${note.mod} (${new Date(note.time).toLocaleDateString()})</span>
+                        ${restoreButton}
+                    </div>`);
+                });
+
+                $list.append($revision);
+            });
         }
 
-        // Compress notes so they'll store well in the database.
-        function deflateNotes (notes) {
-            const deflated = {
-                ver: TBCore.notesSchema > notes.ver ? TBCore.notesSchema : notes.ver, // Prevents downgrading usernotes version like a butt
-                users: {},
-                constants: {
-                    users: [],
-                    warnings: [],
-                },
-            };
+        // Notes that outgrew the usernotes page are spread over shard pages, and a save can move users between them.
+        // So the history is of all pages together: every revision of any page is shown as a change to the notes as
+        // they were on all pages at that time.
+        function loadNotesHistory (sub, pages) {
+            TB.ui.longLoadSpinner(true, 'Loading usernotes history', TB.ui.FEEDBACK_NEUTRAL);
+
+            // One extra revision per page, so the oldest one shown can be compared with the one before it.
+            const pageRevisions = {};
+            let remainingPages = pages.length;
+            pages.forEach(page => {
+                TBApi.getWikiRevisions(sub, page, HISTORY_LENGTH + 1, (success, revisions) => {
+                    pageRevisions[page] = success ? revisions.map(revision => Object.assign({page}, revision)) : [];
+                    remainingPages--;
+                    if (remainingPages === 0) {
+                        loadVersions();
+                    }
+                });
+            });
 
-            const mgr = new self._constManager(deflated.constants);
+            function loadVersions () {
+                const revisions = [].concat(...pages.map(page => pageRevisions[page]))
+                    .sort((a, b) => b.timestamp - a.timestamp)
+                    .slice(0, HISTORY_LENGTH + 1);
+                if (!revisions.length) {
+                    TB.ui.longLoadSpinner(false, 'No usernotes history found', TB.ui.FEEDBACK_NEGATIVE);
+                    return;
+                }
 
-            $.each(notes.users, (name, user) => {
-                deflated.users[name] = {
-                    ns: user.notes.filter(note => {
-                        if (note === undefined) {
-                            self.log('WARNING: undefined note removed');
-                        }
-                        return note !== undefined;
-                    }).map(note => deflateNote(notes.ver, note, mgr)),
-                };
-            });
+                // The revision every page was at right after each revision, null for pages that didn't exist yet.
+                const states = revisions.map(revision => {
+                    const state = {};
+                    pages.forEach(page => {
+                        const current = pageRevisions[page].find(other => other === revision || other.timestamp < revision.timestamp ||
+                            other.timestamp === revision.timestamp && revisions.indexOf(other) > revisions.indexOf(revision));
+                        state[page] = current ? current.id : null;
+                    });
+                    return state;
+                });
 
-            return deflated;
-        }
+                // Each revision of a page is read once, however many states it is part of.
+                const reads = {};
+                states.forEach(state => {
+                    pages.filter(page => state[page]).forEach(page => {
+                        reads[`${page}/${state[page]}`] = {page, id: state[page]};
+                    });
+                });
 
-        // Compresses a single note
-        function deflateNote (version, note, mgr) {
+                const keys = Object.keys(reads),
+                      pageVersions = {};
+                let remaining = keys.length;
+
+                TBCore.forEachChunked(keys, 5, 250, key => {
+                    const {page, id} = reads[key];
+                    TBApi.readFromWiki(sub, page, true, resp => {
+                        if (resp && resp !== TBCore.WIKI_PAGE_UNKNOWN && resp !== TBCore.NO_WIKI_PAGE &&
+                            resp.ver >= TBCore.notesMinSchema && resp.ver <= TBCore.notesMaxSchema) {
+                            TBStorage.purifyObject(resp);
+                            pageVersions[key] = self._inflateNotes(resp, sub);
+                        }
+
+                        TB.ui.textFeedback(`Loaded revision ${keys.length - remaining + 1} of ${keys.length}`, TB.ui.FEEDBACK_POSITIVE);
+                        remaining--;
+                        if (remaining === 0) {
+                            self.getSubredditColors(sub, colors => {
+                                showNotesHistory(revisions, states.map(state => mergeVersions(state, pageVersions)), colors);
+                                TB.ui.longLoadSpinner(false, 'Usernotes history loaded', TB.ui.FEEDBACK_POSITIVE);
+                            });
+                        }
+                    }, id);
+                });
+            }
+
+            // The users of all pages as they were in a state, undefined when one of the pages could not be read.
+            function mergeVersions (state, pageVersions) {
+                const merged = {users: {}};
+                for (const page of pages) {
+                    if (!state[page]) {
+                        continue;
+                    }
+                    const version = pageVersions[`${page}/${state[page]}`];
+                    if (!version) {
+                        return undefined;
+                    }
+                    Object.assign(merged.users, version.users);
+                }
+                return merged;
+            }
+        }
+
+        $body.on('click', '#tb-un-history-load', () => {
+            const $history = $body.find('#tb-un-history-wrap');
+            // The history of shared notes is in the subreddit that stores them.
+            self.getNotesSubreddit($history.attr('data-subreddit'), notesSubreddit => {
+                loadNotesHistory(notesSubreddit, $history.attr('data-pages').split(','));
+            });
+        });
+
+        // Put a deleted note back, unless it has been restored already.
+        $body.on('click', '.tb-un-history-restore', function () {
+            const $button = $(this),
+                  sub = $body.find('#tb-un-history-wrap').attr('data-subreddit'),
+                  {user, note} = historyRemovedNotes[$button.attr('data-note')];
+
+            self.getUserNotes(sub, (success, notes, pageError) => {
+                if (!success && pageError === TBCore.WIKI_PAGE_UNKNOWN) {
+                    TB.ui.textFeedback(`Could not read the usernotes of /r/${sub}`, TB.ui.FEEDBACK_NEGATIVE, 5000);
+                    return;
+                }
+                if (!notes) {
+                    notes = {
+                        ver: TBCore.notesSchema,
+                        users: {},
+                    };
+                }
+                if (!notes.users[user]) {
+                    notes.users[user] = {name: user, notes: []};
+                }
+
+                const userNotes = notes.users[user].notes;
+                if (userNotes.some(n => self._noteKey(n) === self._noteKey(note))) {
+                    TB.ui.textFeedback(`This note on /u/${user} already exists`, TB.ui.FEEDBACK_NEUTRAL);
+                    $button.remove();
+                    return;
+                }
+
+                userNotes.push(note);
+                userNotes.sort((a, b) => b.time - a.time);
+
+                self.saveUserNotes(sub, notes, `restored a note on user ${user}`, succ => {
+                    if (succ) {
+                        $button.replaceWith('<span class="tb-un-history-restored">restored</span>');
+                        refreshSubNotes(notes);
+                    }
+                });
+            }, true);
+        });
+
+        // Collects the notes from all given subreddits that match the search criteria. Notes are fetched
+        // through getUserNotes, so subreddits that have been loaded before are served from the note cache.
+        // Subreddits sharing their notes are searched once, results name the subreddit the notes are stored in.
+        function searchSubNotes (subreddits, criteria, callback) {
+            const SEARCH_TIMEOUT = 30000,
+                  results = [],
+                  searched = [],
+                  notesSubreddits = [];
+
+            // A subreddit given twice would be counted once, and the search would never finish.
+            subreddits = subreddits.filter((subreddit, index) => subreddits.findIndex(other => other.toLowerCase() === subreddit.toLowerCase()) === index);
+            if (!subreddits.length) {
+                callback(results);
+                return;
+            }
+
+            TBCore.forEachChunked(subreddits, 5, 250, subreddit => {
+                // A read that never calls back, like one that throws along the way, still counts as searched.
+                const timeout = setTimeout(() => {
+                    self.log(`Searching the notes of /r/${subreddit} timed out`);
+                    subredditDone(subreddit);
+                }, SEARCH_TIMEOUT);
+
+                self.getUserNotes(subreddit, (status, notes, notesSubreddit) => {
+                    clearTimeout(timeout);
+                    if (searched.includes(subreddit)) {
+                        return;
+                    }
+                    if (!status || !notes || notesSubreddits.includes(notesSubreddit.toLowerCase())) {
+                        subredditDone(subreddit);
+                        return;
+                    }
+                    notesSubreddits.push(notesSubreddit.toLowerCase());
+
+                    self.getSubredditColors(notesSubreddit, colors => {
+                        try {
+                            Object.keys(notes.users).forEach(user => {
+                                notes.users[user].notes.forEach(note => {
+                                    const type = self._findSubredditColor(colors, note.type);
+                                    if (noteMatchesSearch(user, note, type, criteria)) {
+                                        results.push({subreddit: notesSubreddit, user, note, type});
+                                    }
+                                });
+                            });
+                        } finally {
+                            subredditDone(subreddit);
+                        }
+                    });
+                });
+            });
+
+            // getUserNotes can call back more than once for a subreddit when its notes fail to convert.
+            function subredditDone (subreddit) {
+                if (searched.includes(subreddit)) {
+                    return;
+                }
+                searched.push(subreddit);
+                TB.ui.textFeedback(`Searched ${searched.length} of ${subreddits.length} subreddits`, TB.ui.FEEDBACK_POSITIVE);
+
+                if (searched.length === subreddits.length) {
+                    results.sort((a, b) => b.note.time - a.note.time);
+                    callback(results);
+                }
+            }
+        }
+
+        function noteMatchesSearch (user, note, type, criteria) {
+            const contains = (value, search) => (value || '').toLowerCase().indexOf(search) !== -1;
+
+            if (criteria.user && !contains(user, criteria.user)) {
+                return false;
+            }
+            if (criteria.text && !contains(note.note, criteria.text)) {
+                return false;
+            }
+            if (criteria.type && !contains(type.key, criteria.type) && !contains(type.text, criteria.type)) {
+                return false;
+            }
+            if (criteria.mod && !contains(note.mod, criteria.mod)) {
+                return false;
+            }
+            if (criteria.from && note.time < criteria.from) {
+                return false;
+            }
+            if (criteria.to && note.time > criteria.to) {
+                return false;
+            }
+            return true;
+        }
+
+        function showSearchResults (results) {
+            const maxResults = 500,
+                  $searchWrap = $body.find('#tb-un-search-wrap'),
+                  $results = $searchWrap.find('.tb-un-search-results');
+
+            $results.empty();
+            $searchWrap.find('.tb-un-search-info').text(results.length > maxResults ?
+                `Found ${results.length} notes, showing the ${maxResults} most recent.` :
+                `Found ${results.length} notes.`);
+
+            if (!results.length) {
+                return;
+            }
+
+            $results.append(`<tr>
+                <th>subreddit</th>
+                <th>user</th>
+                <th>note</th>
+                <th>mod</th>
+                <th>date</th>
+                <th>link</th>
+            </tr>`);
+
+            results.slice(0, maxResults).forEach(({subreddit, user, note, type}) => {
+                const timeUTC = Math.round(note.time / 1000),
+                      link = note.link && !note.link.startsWith('https://') ? TBCore.link(note.link) : note.link;
+
+                $results.append(`<tr class="tb-un-search-result">
+                    <td><a href="${TBCore.link(`/r/${subreddit}`)}">/r/${subreddit}</a></td>
+                    <td><a href="${TBCore.link(`/u/${user}`)}">/u/${user}</a></td>
+                    <td>
+                        ${type.key !== 'none' ? `<span class="note-type" style="color: ${type.color}">[${TBHelpers.htmlEncode(type.text)}]</span>` : ''}
+                        <span class="note-text">${TBHelpers.htmlEncode(note.note)}</span>
+                    </td>
+                    <td class="mod">/u/${note.mod}</td>
+                    <td><time title="${TBHelpers.timeConverterRead(timeUTC)}">${new Date(note.time).toLocaleDateString()}</time></td>
+                    <td>${link ? `<a href="${link}">link</a>` : ''}</td>
+                </tr>`);
+            });
+        }
+
+        $body.on('click', '#tb-un-search-all', () => {
+            const $searchWrap = $body.find('#tb-un-search-wrap'),
+                  fieldValue = name => $searchWrap.find(`input[name="tb-un-search-${name}"]`).val().trim(),
+                  subs = fieldValue('subs').split(',').map(TBHelpers.cleanSubredditName).filter(sub => sub),
+                  from = fieldValue('from'),
+                  to = fieldValue('to');
+
+            const criteria = {
+                user: fieldValue('user').toLowerCase(),
+                text: fieldValue('text').toLowerCase(),
+                type: fieldValue('type').toLowerCase(),
+                mod: fieldValue('mod').toLowerCase(),
+                from: from ? new Date(from).getTime() : 0,
+                // Include the whole "to" day.
+                to: to ? new Date(to).getTime() + TBHelpers.daysToMilliseconds(1) - 1 : 0,
+            };
+
+            TB.ui.longLoadSpinner(true, 'Searching usernotes', TB.ui.FEEDBACK_NEUTRAL);
+            TBCore.getModSubs(() => {
+                searchSubNotes(subs.length ? subs : TBCore.mySubs, criteria, results => {
+                    showSearchResults(results);
+                    TB.ui.longLoadSpinner(false, 'Search complete', TB.ui.FEEDBACK_POSITIVE);
+                });
+            });
+        });
+
+        // Enter key pressed in one of the search fields
+        $body.on('keyup', '.tb-un-search-fields input', event => {
+            if (event.keyCode === 13) {
+                $body.find('#tb-un-search-all').click();
+            }
+        });
+
+        $body.on('click', '#tb-un-config-link', function () {
+            TB.ui.longLoadSpinner(true, 'Loading usernotes', TB.ui.FEEDBACK_NEUTRAL);
+            const sub = $(this).attr('data-subreddit');
+
+            TB.ui.overlay(
+                `usernotes - /r/${sub}`,
+                [
+                    {
+                        title: `usernotes - /r/${sub}`,
+                        id: 'tb-un-tab-notes',
+                        tooltip: `edit usernotes for /r/${sub}`,
+                        content: `<div id="tb-un-note-content-wrap" data-subreddit="${sub}"></div>`,
+                        footer: `
+                            <input id="tb-un-export-json" class="tb-action-button" type="button" value="export JSON">
+                            <input id="tb-un-export-csv" class="tb-action-button" type="button" value="export CSV">
+                            <input id="tb-un-import" class="tb-action-button" type="button" value="import notes">
+                            <input id="tb-un-import-file" type="file" accept=".csv,.json" style="display: none;">
+                        `,
+                    },
+                    {
+                        title: 'search all subreddits',
+                        id: 'tb-un-tab-search',
+                        tooltip: 'search the usernotes of every subreddit you moderate',
+                        content: `
+                            <div id="tb-un-search-wrap">
+                                <div class="tb-un-search-fields">
+                                    <input type="text" class="tb-input" name="tb-un-search-subs" placeholder="subreddits, comma separated (empty for all)">
+                                    <input type="text" class="tb-input" name="tb-un-search-user" placeholder="username">
+                                    <input type="text" class="tb-input" name="tb-un-search-text" placeholder="note contents">
+                                    <input type="text" class="tb-input" name="tb-un-search-type" placeholder="note type (key or name)">
+                                    <input type="text" class="tb-input" name="tb-un-search-mod" placeholder="moderator">
+                                    <label>from <input type="date" class="tb-input" name="tb-un-search-from"></label>
+                                    <label>to <input type="date" class="tb-input" name="tb-un-search-to"></label>
+                                </div>
+                                <div class="tb-un-search-info"></div>
+                                <table class="tb-un-search-results"></table>
+                            </div>
+                        `,
+                        footer: '<input id="tb-un-search-all" class="tb-action-button" type="button" value="search">',
+                    },
+                    {
+                        title: 'statistics',
+                        id: 'tb-un-tab-stats',
+                        tooltip: `note counts for /r/${sub} per type, moderator and month`,
+                        content: `<div id="tb-un-stats-wrap" data-subreddit="${sub}">
+                            <div class="tb-un-stats-info">Statistics are shown once the notes are loaded.</div>
+                        </div>`,
+                    },
+                    {
+                        title: 'history',
+                        id: 'tb-un-tab-history',
+                        tooltip: `see which notes were added and removed in /r/${sub}`,
+                        content: `
+                            <div id="tb-un-history-wrap" data-subreddit="${sub}" data-pages="usernotes">
+                                <div class="tb-un-history-info"></div>
+                                <div class="tb-un-history-list"></div>
+                            </div>
+                        `,
+                        footer: '<input id="tb-un-history-load" class="tb-action-button" type="button" value="load history">',
+                    },
+                ],
+                [], // extra header buttons
+                'tb-un-editor', // class
+                false // single overriding footer
+            ).appendTo('body');
+            $body.css('overflow', 'hidden');
+            fetchActive = true;
+
+            self.getUserNotes(sub, showSubNotes);
+        });
+
+        $body.on('click', '.tb-un-editor .close', () => {
+            fetchActive = false;
+            $('.tb-un-editor').remove();
+            $body.css('overflow', 'auto');
+        });
+    };
+
+    // Get usernotes from wiki. When revisions (an object of wiki page names and revision IDs) are given, the notes are read
+    // as they were at those revisions, skipping and leaving the cache alone.
+    self.getUserNotes = function (subreddit, callback, forceSkipCache, revisions) {
+        self.log(`Getting usernotes (sub=${subreddit})`);
+
+        if (!callback) {
+            return;
+        }
+        if (!subreddit) {
+            return returnFalse();
+        }
+
+        // Subreddits can use the notes of another subreddit, in which case we read those from here on.
+        self.getNotesSubreddit(subreddit, notesSubreddit => {
+            subreddit = notesSubreddit;
+            readNotes();
+        });
+
+        function readNotes () {
+            // Check cache (if not skipped)
+            if (!forceSkipCache && !revisions) {
+                if (TBCore.noteCache[subreddit] !== undefined) {
+                    self.log('notes found in cache');
+                    if (callback) {
+                        callback(true, TBCore.noteCache[subreddit], subreddit);
+                    }
+                    return;
+                }
+
+                if (TBCore.noNotes.indexOf(subreddit) !== -1) {
+                    self.log('found in NoNotes cache');
+                    returnFalse();
+                    return;
+                }
+            }
+
+            // Read notes from wiki page
+            TBApi.readFromWiki(subreddit, 'usernotes', true, (resp, revision) => {
+            // Errors when reading notes
+            // // These errors are bad
+                if (!resp || resp === TBCore.WIKI_PAGE_UNKNOWN) {
+                    self.log('Usernotes read error: WIKI_PAGE_UNKNOWN');
+                    returnFalse(TBCore.WIKI_PAGE_UNKNOWN);
+                    return;
+                }
+                if (resp === TBCore.NO_WIKI_PAGE) {
+                    if (!revisions) {
+                        TBCore.updateCache('noNotes', subreddit, false);
+                    }
+                    self.log('Usernotes read error: NO_WIKI_PAGE');
+                    returnFalse(TBCore.NO_WIKI_PAGE);
+                    return;
+                }
+                // // No notes exist in wiki page
+                if (resp.length < 1) {
+                    if (!revisions) {
+                        TBCore.updateCache('noNotes', subreddit, false);
+                    }
+                    self.log('Usernotes read error: wiki empty');
+                    returnFalse();
+                    return;
+                }
+
+                TBStorage.purifyObject(resp);
+                // Success
+                self.log('We have notes!');
+                const shards = resp.shards;
+                const notes = convertNotes(resp, subreddit);
+
+                // Notes older than the oldest schema we can read are treated like an unreadable page, so nobody saves over them.
+                if (!notes) {
+                    self.log(`Usernotes read error: schema v${resp.ver} is not supported`);
+                    returnFalse(TBCore.WIKI_PAGE_UNKNOWN);
+                    return;
+                }
+
+                // Remember the revisions we read, so saves can tell whether someone else changed the notes since.
+                notes.revisions = {usernotes: revision};
+
+                if (!shards) {
+                    returnNotes(notes);
+                    return;
+                }
+
+                // Notes that outgrew a single wiki page are spread over the shard pages listed in the index.
+                readShards(shards, notes, () => {
+                    returnNotes(notes);
+                });
+            }, revisions && revisions.usernotes);
+        }
+
+        function returnNotes (notes) {
+            // We have notes, cache them and return them.
+            if (!revisions) {
+                TBCore.updateCache('noteCache', notes, subreddit);
+            }
+            if (callback) {
+                callback(true, notes, subreddit);
+            }
+        }
+
+        function returnFalse (pageError) {
+            if (callback) {
+                callback(false, null, pageError);
+            }
+        }
+
+        // Reads all shard pages and merges their users into the notes of the main page.
+        function readShards (shards, notes, done) {
+            const pages = Object.keys(shards);
+            let remaining = pages.length,
+                failed = false;
+
+            notes.shardPages = pages;
+            notes.shardIndex = {};
+
+            if (!pages.length) {
+                done();
+                return;
+            }
+
+            // A shard whose index can't be read is as unreadable as one whose page can't be, for the same reason.
+            for (const page of pages) {
+                try {
+                    JSON.parse(TBHelpers.zlibInflate(shards[page])).forEach(user => {
+                        notes.shardIndex[user] = page;
+                    });
+                } catch (error) {
+                    self.log(`Usernotes read error: the index of shard ${page} is malformed`);
+                    self.log(error);
+                    returnFalse(TBCore.WIKI_PAGE_UNKNOWN);
+                    return;
+                }
+            }
+
+            pages.forEach(page => {
+                TBApi.readFromWiki(subreddit, page, true, (resp, revision) => {
+                    if (failed) {
+                        return;
+                    }
+                    // A missing shard means missing notes, treat it like an unknown page so nobody saves over it.
+                    if (!resp || resp === TBCore.WIKI_PAGE_UNKNOWN || resp === TBCore.NO_WIKI_PAGE) {
+                        self.log(`Usernotes read error: shard ${page} could not be read`);
+                        failed = true;
+                        returnFalse(TBCore.WIKI_PAGE_UNKNOWN);
+                        return;
+                    }
+
+                    TBStorage.purifyObject(resp);
+                    if (!revisions) {
+                        self._shardBlobs[`${subreddit}/${page}`] = resp.blob;
+                    }
+                    const shard = convertNotes(resp, subreddit);
+                    if (!shard) {
+                        self.log(`Usernotes read error: shard ${page} has unsupported schema v${resp.ver}`);
+                        failed = true;
+                        returnFalse(TBCore.WIKI_PAGE_UNKNOWN);
+                        return;
+                    }
+                    Object.assign(notes.users, shard.users);
+                    notes.revisions[page] = revision;
+
+                    remaining--;
+                    if (remaining === 0) {
+                        done();
+                    }
+                }, revisions && revisions[page]);
+            });
+        }
+
+        // Inflate notes from the database, converting between versions if necessary. Returns nothing for notes below the minimum schema.
+        function convertNotes (notes, sub) {
+            self.log(`Notes ver: ${notes.ver}`);
+
+            if (notes.ver >= TBCore.notesMinSchema) {
+                if (notes.ver <= TBCore.notesMaxSchema) {
+                    notes = self._inflateNotes(notes, sub);
+                }
+
+                if (notes.ver <= TBCore.notesDeprecatedSchema) {
+                    self.log(`Found deprecated notes in ${subreddit}: S${notes.ver}`);
+
+                    TBCore.alert(
+                        `The usernotes in /r/${subreddit} are stored using schema v${notes.ver}, which is deprecated. Please click here to updated to v${TBCore.notesSchema}.`,
+                        clicked => {
+                            if (clicked) {
+                            // Upgrade notes
+                                self.saveUserNotes(subreddit, notes, `Updated notes to schema v${TBCore.notesSchema}`, succ => {
+                                    if (succ) {
+                                        TB.ui.textFeedback('Notes saved!', TB.ui.FEEDBACK_POSITIVE);
+                                        TBCore.clearCache();
+                                        window.location.reload();
+                                    }
+                                });
+                            }
+                        }
+                    );
+                }
+
+                return notes;
+            }
+        }
+    };
+
+    // Decompress notes from a single wiki page into a more useful format
+    self._inflateNotes = function (deflated, sub) {
+        if (deflated.ver > 5) {
+            deflated = decompressBlob(deflated);
+        }
+
+        const inflated = {
+            ver: deflated.ver,
+            users: {},
+        };
+
+        const mgr = new self._constManager(deflated.constants);
+
+        self.log('Inflating all usernotes');
+        $.each(deflated.users, (name, user) => {
+            inflated.users[name] = {
+                name,
+                notes: user.ns.map(note => inflateNote(deflated.ver, mgr, note, sub)),
+            };
+        });
+
+        return inflated;
+
+        // Utilities
+        function decompressBlob (notes) {
+            const decompressed = TBHelpers.zlibInflate(notes.blob);
+
+            // Update notes with actual notes
+            delete notes.blob;
+            notes.users = JSON.parse(decompressed);
+            return notes;
+        }
+
+        // Inflates a single note
+        function inflateNote (version, mgr, note, sub) {
+            const inflated = {
+                note: TBHelpers.htmlDecode(note.n),
+                time: inflateTime(version, note.t),
+                mod: mgr.get('users', note.m),
+                link: self._unsquashPermalink(sub, note.l),
+                type: mgr.get('warnings', note.w),
+            };
+            // Snapshots were added in v7, but are also written to v6 notes
+            if (note.s) {
+                inflated.snapshot = note.s;
+            }
+            // Notes added from a subreddit that shares these notes
+            if (note.r) {
+                inflated.sub = note.r;
+                inflated.link = self._unsquashPermalink(note.r, note.l);
+            }
+            return inflated;
+        }
+
+        // Date/time utilities
+        function inflateTime (version, time) {
+            if (version >= 5 && time.toString().length <= 10) {
+                time *= 1000;
+            }
+            return time;
+        }
+    };
+
+    /**
+     * Adds notes for several users with a single save, for other modules that add notes without the note popup.
+     * @param {string} subreddit
+     * @param {object} notesByUser Arrays of notes by username, newest first, in the format of the note popup.
+     * @param {string} reason The wiki revision reason.
+     * @param {function} [callback] Called with a boolean telling if the notes were saved.
+     */
+    self.addUserNotes = function (subreddit, notesByUser, reason, callback) {
+        self.getUserNotes(subreddit, (success, notes, pageError) => {
+            // Don't save over notes we couldn't read.
+            if (!success && pageError === TBCore.WIKI_PAGE_UNKNOWN) {
+                TBui.textFeedback('Usernotes could not be read, no notes were added.', TBui.FEEDBACK_NEGATIVE, 5000);
+                if (callback) {
+                    callback(false);
+                }
+                return;
+            }
+
+            if (!notes) {
+                notes = {
+                    ver: TBCore.notesSchema,
+                    constants: {},
+                    users: {},
+                };
+            }
+
+            Object.keys(notesByUser).forEach(user => {
+                if (!Object.prototype.hasOwnProperty.call(notes.users, user)) {
+                    notes.users[user] = {notes: []};
+                }
+                notes.users[user].notes.unshift(...notesByUser[user]);
+            });
+
+            self.saveUserNotes(subreddit, notes, reason, callback);
+        }, true);
+    };
+
+    // Save usernotes to wiki
+    self.saveUserNotes = function (sub, notes, reason, callback, forceAllPages) {
+        const MAX_SPILLS = 5,
+              MAX_MERGES = 3;
+        let merges = 0;
+
+        TBui.textFeedback('Saving user notes...', TBui.FEEDBACK_NEUTRAL);
+
+        // Upgrade usernotes if only upgrading
+        if (notes.ver < TBCore.notesSchema) {
+            notes.ver = TBCore.notesSchema;
+        }
+
+        // Subreddits can use the notes of another subreddit, in which case we write those from here on.
+        self.getNotesSubreddit(sub, notesSubreddit => {
+            sub = notesSubreddit;
+
+            // Update cache
+            TBCore.updateCache('noteCache', notes, sub);
+
+            // Write to wiki page(s)
+            self.log('Saving usernotes to wiki...');
+            writePages(buildPages(), 0);
+        });
+
+        function pageOfUser (user) {
+            const page = notes.shardIndex && notes.shardIndex[user];
+            return notes.shardPages && notes.shardPages.includes(page) ? page : 'usernotes';
+        }
+
+        // Deconverts the notes into one wiki document per page. Users in the shard index go to their shard, everyone
+        // else to the main page, which also carries the index. Shards are written first, so the index never points to
+        // pages that haven't been written yet. Shards that didn't change since they were last read or written are skipped.
+        function buildPages () {
+            const shardPages = notes.shardPages || [],
+                  ver = shardPages.length ? Math.max(notes.ver, TBCore.notesShardSchema) : notes.ver,
+                  pageUsers = {usernotes: {}};
+
+            shardPages.forEach(page => {
+                pageUsers[page] = {};
+            });
+            Object.keys(notes.users).forEach(user => {
+                pageUsers[pageOfUser(user)][user] = notes.users[user];
+            });
+
+            const main = self._deflateNotes({ver, users: pageUsers.usernotes}, sub);
+            if (shardPages.length) {
+                main.shards = {};
+                shardPages.forEach(page => {
+                    main.shards[page] = TBHelpers.zlibDeflate(JSON.stringify(Object.keys(pageUsers[page])));
+                });
+            }
+
+            const pages = shardPages
+                .map(page => ({page, data: self._deflateNotes({ver, users: pageUsers[page]}, sub)}))
+                .filter(({page, data}) => forceAllPages || self._shardBlobs[`${sub}/${page}`] !== data.blob);
+            pages.push({page: 'usernotes', data: main});
+
+            return pages;
+        }
+
+        // Moves the half of a page's users whose latest note is oldest (and so least likely to change) into a new shard.
+        function spillPage (page) {
+            const latestNote = user => Math.max(...notes.users[user].notes.map(note => note.time || 0)),
+                  newPage = `usernotes/${(notes.shardPages || []).length + 2}`,
+                  users = Object.keys(notes.users)
+                      .filter(user => pageOfUser(user) === page)
+                      .sort((a, b) => latestNote(a) - latestNote(b));
+
+            notes.shardPages = (notes.shardPages || []).concat(newPage);
+            notes.shardIndex = notes.shardIndex || {};
+            users.slice(0, Math.ceil(users.length / 2)).forEach(user => {
+                notes.shardIndex[user] = newPage;
+            });
+        }
+
+        function writePages (pages, spills) {
+            if (!pages.length) {
+                self.log('Success!');
+                TBui.textFeedback('Save complete!', TBui.FEEDBACK_POSITIVE, 2000);
+                if (callback) {
+                    callback(true);
+                }
+                return;
+            }
+
+            const {page, data} = pages[0];
+            TBApi.postToWiki(page, sub, data, reason, true, false, (succ, jqXHR) => {
+                if (succ) {
+                    if (page !== 'usernotes') {
+                        self._shardBlobs[`${sub}/${page}`] = data.blob;
+                    }
+                    rememberRevision(page, () => writePages(pages.slice(1), spills));
+                    return;
+                }
+
+                self.log(`Failure: ${jqXHR.status}`);
+                if (jqXHR.status === 409 && merges < MAX_MERGES) {
+                    self.log(`  ${page} was changed by someone else, merging`);
+                    merges++;
+                    mergeAndRetry(spills);
+                    return;
+                }
+                if (jqXHR.status === 413 && spills < MAX_SPILLS) {
+                    self.log(`  ${page} is full, spilling users into a new page`);
+                    spillPage(page);
+                    TBCore.updateCache('noteCache', notes, sub);
+                    writePages(buildPages(), spills + 1);
+                    return;
+                }
+
+                saveFailed(jqXHR.status === 413 ? 'usernotes full' : jqXHR.responseText);
+            }, notes.revisions && notes.revisions[page]);
+        }
+
+        // Later saves from this tab build on what was just written, so they have to send its revision as the one they
+        // started from. Otherwise they'd conflict with our own save. Without our revision the page is saved unchecked.
+        function rememberRevision (page, next) {
+            TBApi.getWikiRevisions(sub, page, 5, (success, revisions) => {
+                const ours = success && revisions.find(revision => revision.author && revision.author.data.name === TBCore.logged);
+
+                notes.revisions = notes.revisions || {};
+                if (ours) {
+                    notes.revisions[page] = ours.id;
+                } else {
+                    delete notes.revisions[page];
+                }
+                TBCore.updateCache('noteCache', notes, sub);
+                next();
+            });
+        }
+
+        // Someone else saved the notes after we read them. Read their version and the version our changes started
+        // from, merge both sets of changes and save again.
+        function mergeAndRetry (spills) {
+            TBui.textFeedback('Usernotes were changed by someone else, merging...', TBui.FEEDBACK_NEUTRAL);
+
+            self.getUserNotes(sub, (success, theirs) => {
+                if (!success || !theirs) {
+                    saveFailed('could not read the changed usernotes');
+                    return;
+                }
+
+                const merge = base => {
+                    const merged = self._mergeNotes(base, notes, theirs);
+                    if (merged.conflicts.length) {
+                        saveFailed(`another moderator changed the notes of ${merged.conflicts.map(user => `/u/${user}`).join(', ')} at the same time. Nothing was saved, please reload and try again`);
+                        return;
+                    }
+
+                    notes.users = merged.users;
+                    notes.ver = Math.max(notes.ver, theirs.ver);
+                    notes.revisions = theirs.revisions;
+                    notes.shardPages = theirs.shardPages;
+                    notes.shardIndex = theirs.shardIndex;
+                    TBCore.updateCache('noteCache', notes, sub);
+
+                    writePages(buildPages(), spills);
+                };
+
+                if (notes.revisions) {
+                    self.getUserNotes(sub, (success, base) => merge(success ? base : null), true, notes.revisions);
+                } else {
+                    merge(null);
+                }
+            }, true);
+        }
+
+        function saveFailed (reason) {
+            self.log(`  ${reason}`);
+            TBui.textFeedback(`Save failed: ${reason}`, TBui.FEEDBACK_NEGATIVE, 5000);
+            if (callback) {
+                callback(false);
+            }
+        }
+    };
+
+    // Deconvert notes to wiki format based on version (note: deconversion is actually conversion in the opposite direction)
+    self._deflateNotes = function (notes, sub) {
+        if (notes.ver <= 5) {
+            self.log('  Is v5');
+            return deflateNotes(notes);
+        } else if (notes.ver <= 7) {
+            self.log(`  Is v${notes.ver}`);
+            notes = deflateNotes(notes);
+            return compressBlob(notes);
+        }
+        return notes;
+
+        // Utilities
+        function compressBlob (notes) {
+        // Make way for the blob!
+            const users = JSON.stringify(notes.users);
+            delete notes.users;
+
+            notes.blob = TBHelpers.zlibDeflate(users);
+            return notes;
+        }
+
+        // Compress notes so they'll store well in the database.
+        function deflateNotes (notes) {
+            const deflated = {
+                ver: TBCore.notesSchema > notes.ver ? TBCore.notesSchema : notes.ver, // Prevents downgrading usernotes version like a butt
+                users: {},
+                constants: {
+                    users: [],
+                    warnings: [],
+                },
+            };
+
+            const mgr = new self._constManager(deflated.constants);
+
+            $.each(notes.users, (name, user) => {
+                deflated.users[name] = {
+                    ns: user.notes.filter(note => {
+                        if (note === undefined) {
+                            self.log('WARNING: undefined note removed');
+                        }
+                        return note !== undefined;
+                    }).map(note => deflateNote(deflated.ver, note, mgr)),
+                };
+            });
+
+            return deflated;
+        }
+
+        // Compresses a single note
+        function deflateNote (version, note, mgr) {
             self.log(note);
-            return {
+            const deflated = {
                 n: note.note,
                 t: deflateTime(version, note.time),
                 m: mgr.create('users', note.mod),
                 l: self._squashPermalink(note.link),
                 w: mgr.create('warnings', note.type),
             };
+            // Snapshots and the subreddit a shared note came from are extra keys, which clients that only know v6 don't read.
+            if (note.snapshot) {
+                deflated.s = note.snapshot;
+            }
+            if (note.sub && note.sub.toLowerCase() !== sub.toLowerCase()) {
+                deflated.r = note.sub;
+            }
+            return deflated;
         }
 
         // Compression utilities
@@ -1383,6 +2501,234 @@ function usernotes () {
         }
     };
 
+    // Flattens inflated notes into human readable rows, one for each note.
+    self._notesToExportRows = function (notes, colors) {
+        const rows = [];
+        Object.keys(notes.users).forEach(user => {
+            notes.users[user].notes.forEach(note => {
+                const type = self._findSubredditColor(colors, note.type);
+                rows.push({
+                    user,
+                    note: note.note,
+                    type: note.type || '',
+                    type_label: type.text,
+                    mod: note.mod,
+                    timestamp: new Date(note.time).toISOString(),
+                    permalink: note.link && !note.link.startsWith('https://') ? `${TBCore.baseDomain}${note.link}` : note.link || '',
+                    snapshot: note.snapshot || '',
+                });
+            });
+        });
+        return rows;
+    };
+
+    // Reads the rows of an exported file back into note objects. Rows without a user or note text are skipped.
+    self._parseImportFile = function (filename, content) {
+        let rows;
+        if (filename.toLowerCase().endsWith('.json')) {
+            const data = JSON.parse(content);
+            rows = Array.isArray(data) ? data : data.notes;
+        } else {
+            const csvRows = TBHelpers.parseCSV(content),
+                  header = csvRows.shift() || [];
+            rows = csvRows.map(csvRow => {
+                const row = {};
+                header.forEach((field, i) => {
+                    row[field.trim()] = csvRow[i];
+                });
+                return row;
+            });
+        }
+
+        if (!Array.isArray(rows)) {
+            throw new Error('no notes found in file');
+        }
+
+        const imported = [];
+        let invalid = 0;
+        rows.forEach(row => {
+            const time = isNaN(row.timestamp) ? Date.parse(row.timestamp) : parseInt(row.timestamp);
+            if (!row.user || !row.note || isNaN(time)) {
+                invalid++;
+                return;
+            }
+
+            const note = {
+                note: String(row.note),
+                time,
+                mod: row.mod || TBCore.logged,
+                link: row.permalink || '',
+                type: row.type || undefined,
+            };
+            if (row.snapshot) {
+                note.snapshot = String(row.snapshot).substr(0, self.SNAPSHOT_LENGTH);
+            }
+
+            imported.push({
+                user: String(row.user).trim(),
+                typeLabel: row.type_label,
+                note,
+            });
+        });
+
+        return {imported, invalid};
+    };
+
+    // Works out which imported notes are new to the subreddit. Notes with the same user, text and time (to the
+    // second) as an existing note count as duplicates. Types are matched against the subreddit's types by key, then by label.
+    // Usernames are matched ignoring case, notes go to the user as they are already written in the notes, or as they
+    // are first written in the import.
+    self._planImport = function (notes, imported, colors) {
+        const toAdd = [],
+              userNames = {},
+              isSameNote = (a, b) => a.note === b.note && Math.trunc(a.time / 1000) === Math.trunc(b.time / 1000);
+        let duplicates = 0;
+
+        Object.keys(notes.users).forEach(user => {
+            userNames[user.toLowerCase()] = user;
+        });
+
+        imported.forEach(({user: importedUser, typeLabel, note}) => {
+            const user = userNames[importedUser.toLowerCase()] = userNames[importedUser.toLowerCase()] || importedUser,
+                  existing = notes.users[user] ? notes.users[user].notes : [];
+            if (existing.some(n => isSameNote(n, note)) || toAdd.some(add => add.user === user && isSameNote(add.note, note))) {
+                duplicates++;
+                return;
+            }
+
+            if (note.type && !colors.some(color => color.key === note.type)) {
+                const labelMatch = colors.find(color => typeLabel && color.text === typeLabel);
+                note.type = labelMatch ? labelMatch.key : undefined;
+            }
+
+            toAdd.push({user, note});
+        });
+
+        return {toAdd, duplicates};
+    };
+
+    /**
+     * Counts the notes of a subreddit per type, moderator and month.
+     * @param {object} notes Inflated usernotes
+     * @param {Array} colors The subreddit's usernote types
+     * @param {Array} [ladder] The subreddit's escalation ladder, which orders the types by severity.
+     * Without one, the order of the note types is used.
+     * @returns {object} `{noteCount, userCount, perType, perMod, perMonth, topUsers, escalating}`
+     */
+    self._noteStatistics = function (notes, colors, ladder) {
+        const stats = {
+            noteCount: 0,
+            userCount: 0,
+            perType: {},
+            perMod: {},
+            perMonth: {},
+            topUsers: [],
+            escalating: 0,
+        };
+        const severityTypes = ladder && ladder.length ? ladder.map(step => step.type) : colors.map(color => color.key),
+              increment = (counts, key) => {
+                  counts[key] = (counts[key] || 0) + 1;
+              };
+
+        Object.keys(notes.users).forEach(user => {
+            const userNotes = notes.users[user].notes;
+            if (!userNotes.length) {
+                return;
+            }
+
+            stats.userCount++;
+            stats.topUsers.push({user, count: userNotes.length});
+
+            userNotes.forEach(note => {
+                const date = new Date(note.time);
+                stats.noteCount++;
+                increment(stats.perType, self._findSubredditColor(colors, note.type).key);
+                increment(stats.perMod, note.mod);
+                increment(stats.perMonth, `${date.getFullYear()}-${`0${date.getMonth() + 1}`.slice(-2)}`);
+            });
+
+            // Oldest first, only counting notes with a type that has a severity.
+            const severities = userNotes.slice().sort((a, b) => a.time - b.time)
+                .map(note => severityTypes.indexOf(note.type))
+                .filter(severity => severity !== -1);
+            if (severities.length > 1 &&
+                severities[severities.length - 1] > severities[0] &&
+                severities.every((severity, i) => i === 0 || severity >= severities[i - 1])) {
+                stats.escalating++;
+            }
+        });
+
+        stats.topUsers.sort((a, b) => b.count - a.count);
+        return stats;
+    };
+
+    // Longest excerpt of the noted post or comment that is saved with a note
+    self.SNAPSHOT_LENGTH = 300;
+
+    // Turns the info of a thing (see TBCore.getApiThingInfo) into the excerpt saved with a note.
+    self._snapshotFromInfo = function (info) {
+        const text = [info.title, info.raw_body].filter(part => part && part !== '[deleted]' && part !== '[removed]').join(' - ').replace(/\s+/g, ' ').trim();
+        if (text.length > self.SNAPSHOT_LENGTH) {
+            return `${text.substr(0, self.SNAPSHOT_LENGTH - 3)}...`;
+        }
+        return text;
+    };
+
+    // Identifies a note across different versions of the notes. Times are compared to the second, since that's how they're stored.
+    self._noteKey = function (note) {
+        return `${note.mod}|${Math.trunc(note.time / 1000)}|${note.note}`;
+    };
+
+    // Three-way merge of two changed versions of the same usernotes. Per user, the notes we added since the base are added
+    // to theirs and the notes we removed are removed from theirs. Notes are matched by their note key.
+    // Deleting all notes of a user someone else just added a note to can't be merged and is reported as a conflict.
+    // Without a base we can't tell our deletions from their additions, so any note only they have is a conflict.
+    self._mergeNotes = function (base, ours, theirs) {
+        const noteKey = self._noteKey,
+              userNotes = (notes, user) => notes && notes.users[user] ? notes.users[user].notes : [],
+              users = Object.keys(Object.assign({}, base ? base.users : {}, ours.users, theirs.users)),
+              merged = {},
+              conflicts = [];
+
+        users.forEach(user => {
+            const ourNotes = userNotes(ours, user),
+                  theirNotes = userNotes(theirs, user),
+                  ourKeys = ourNotes.map(noteKey),
+                  theirKeys = theirNotes.map(noteKey);
+            let result;
+
+            if (base) {
+                const baseNotes = userNotes(base, user),
+                      baseKeys = baseNotes.map(noteKey),
+                      theyAdded = theirKeys.some(key => !baseKeys.includes(key)),
+                      removed = baseKeys.filter(key => !ourKeys.includes(key)),
+                      added = ourNotes.filter(note => !baseKeys.includes(noteKey(note)) && !theirKeys.includes(noteKey(note)));
+
+                if (baseNotes.length && !ourNotes.length && theyAdded) {
+                    conflicts.push(user);
+                }
+                result = theirNotes.filter(note => !removed.includes(noteKey(note))).concat(added);
+            } else {
+                if (theirKeys.some(key => !ourKeys.includes(key))) {
+                    conflicts.push(user);
+                }
+                result = theirNotes.concat(ourNotes.filter(note => !theirKeys.includes(noteKey(note))));
+            }
+
+            if (result.length) {
+                merged[user] = {
+                    name: user,
+                    notes: result.sort((a, b) => b.time - a.time),
+                };
+            }
+        });
+
+        return {users: merged, conflicts};
+    };
+
+    // The last known blob of every usernotes shard page, keyed by "subreddit/page", so unchanged shards aren't rewritten.
+    self._shardBlobs = {};
+
     // Save/load util
     self._constManager = function _constManager (init_pools) {
         return {
@@ -1459,12 +2805,12 @@ function usernotes () {
     // Per-subreddit coloring
     self.getSubredditColors = function (subreddit, callback) {
         self.log(`Getting subreddit colors for /r/${subreddit}`);
-        TBCore.getConfig(subreddit, config => {
-            self.log(`  Config retrieved for /r/${subreddit}`);
+        self.getNotesConfig(subreddit, (config, notesSubreddit) => {
+            self.log(`  Config retrieved for /r/${notesSubreddit}`);
             if (config && config.usernoteColors && config.usernoteColors.length > 0) {
                 callback(config.usernoteColors);
             } else {
-                self.log(`  Config not retrieved for ${subreddit}, using default colors`);
+                self.log(`  Config not retrieved for ${notesSubreddit}, using default colors`);
 
                 // Use default colors
                 callback(TBCore.defaultUsernoteTypes);
@@ -1472,6 +2818,116 @@ function usernotes () {
         });
     };
 
+    // Shared notes use the note types and retention rules of the subreddit they are stored in.
+    self.getNotesConfig = function (subreddit, callback) {
+        self.getNotesSubreddit(subreddit, notesSubreddit => {
+            TBCore.getConfig(notesSubreddit, config => {
+                callback(config, notesSubreddit);
+            });
+        });
+    };
+
+    /**
+     * Finds the subreddit that stores the usernotes of a subreddit. Subreddits can use the notes of
+     * another subreddit by setting `usernotesGetfrom` in their toolbox config.
+     * @param {string} subreddit
+     * @param {function} callback Called with the name of the subreddit to read and write the notes of
+     * @param {Array} [followed] Subreddits that were already followed, used to stop on loops
+     */
+    self.getNotesSubreddit = function (subreddit, callback, followed = []) {
+        TBCore.getConfig(subreddit, config => {
+            const getfrom = config && config.usernotesGetfrom;
+            followed.push(subreddit.toLowerCase());
+
+            if (getfrom && followed.indexOf(getfrom.toLowerCase()) !== -1) {
+                self.log(`Warning: usernotes 'get from' subreddit of /r/${subreddit} loops back to /r/${getfrom}. Don't do that!`);
+                callback(subreddit);
+            } else if (getfrom) {
+                self.getNotesSubreddit(getfrom, callback, followed);
+            } else {
+                callback(subreddit);
+            }
+        });
+    };
+
+    /**
+     * Finds the notes that are older than the retention period of their type.
+     * @param {object} notes Inflated usernotes
+     * @param {object} retention Days to keep notes for, by type key. Notes
+     * without a known type use the `none` key. Types without a rule are kept forever.
+     * @param {Array} colors The subreddit's usernote types
+     * @param {number} now Current time in milliseconds
+     * @returns {Array} `{user, note, type}` for every expired note
+     */
+    self._expiredNotes = function (notes, retention, colors, now) {
+        const expired = [];
+        if (!retention) {
+            return expired;
+        }
+
+        Object.keys(notes.users).forEach(user => {
+            notes.users[user].notes.forEach(note => {
+                const type = self._findSubredditColor(colors, note.type),
+                      days = retention[type.key];
+                if (days && TBHelpers.millisecondsToDays(now - note.time) > days) {
+                    expired.push({user, note, type});
+                }
+            });
+        });
+
+        return expired;
+    };
+
+    /**
+     * Suggests the next step of the subreddit's escalation ladder for a user.
+     * Every note of a type that is used in the ladder counts as a strike.
+     * @param {string} subreddit
+     * @param {string} user
+     * @param {function} callback Called with `{step, strikes, type, banDays, description}`,
+     * or `null` if the subreddit has no escalation ladder.
+     * `banDays` is a number of days, `'permanent'` or `undefined` for steps without a ban.
+     */
+    self.getEscalationSuggestion = function (subreddit, user, callback) {
+        TBCore.getConfig(subreddit, config => {
+            const ladder = config && config.escalationLadder;
+            if (!ladder || !ladder.length) {
+                callback(null);
+                return;
+            }
+
+            self.getUserNotes(subreddit, (status, notes) => {
+                const userNotes = status && notes && notes.users[user] ? notes.users[user].notes : [];
+
+                self.getSubredditColors(subreddit, colors => {
+                    const strikes = self._countStrikes(ladder, userNotes),
+                          index = Math.min(strikes, ladder.length - 1),
+                          step = ladder[index],
+                          type = self._findSubredditColor(colors, step.type);
+                    let ban = 'no ban';
+
+                    if (step.banDays === 'permanent') {
+                        ban = 'permanent ban';
+                    } else if (step.banDays) {
+                        ban = `${step.banDays} day ban`;
+                    }
+
+                    callback({
+                        step: index + 1,
+                        strikes,
+                        type,
+                        banDays: step.banDays,
+                        description: `${type.text || step.type}, ${ban} (step ${index + 1} of ${ladder.length}, ${strikes} previous strikes)`,
+                    });
+                });
+            });
+        });
+    };
+
+    self._countStrikes = function (ladder, userNotes) {
+        const ladderTypes = ladder.map(step => step.type);
+        return userNotes.filter(note => ladderTypes.indexOf(note.type) > -1).length;
+    };
+
     self._findSubredditColor = function (colors, key) {
     // TODO: make more efficient for repeated operations, like using an object
         for (let i = 0; i < colors.length; i++) {
@@ -102,6 +102,280 @@
      */
     TBApi.apiOauthGET = TBApi.apiOauthRequest.bind(null, 'GET');
 
+    //
+    // Action journal and audit log
+    //
+
+    const JOURNAL_KEY = 'TBApi.actionJournal',
+          JOURNAL_LIMIT = 200;
+
+    let auditFeature = '';
+
+    function readJournal () {
+        try {
+            return JSON.parse(sessionStorage.getItem(JOURNAL_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function writeJournal (journal) {
+        sessionStorage.setItem(JOURNAL_KEY, JSON.stringify(journal.slice(-JOURNAL_LIMIT)));
+        window.dispatchEvent(new CustomEvent('TBActionJournal'));
+    }
+
+    /**
+     * Where a call to TBApi comes from: the first toolbox file on the stack besides this one, and the feature the
+     * call was attributed to with `TBApi.auditAs`. Has to be called before the call goes async.
+     * @returns {object} `module` and `feature`
+     */
+    function auditSource () {
+        const files = (new Error().stack || '').match(/\/data\/(?:modules\/)?\w+\.js/g) || [],
+              file = files.map(path => path.replace(/^.*\/(\w+)\.js$/, '$1')).find(name => name !== 'tbapi');
+
+        return {
+            module: file || '',
+            feature: auditFeature,
+        };
+    }
+
+    /**
+     * Attributes the calls to TBApi a function makes to a toolbox feature, like a macro, in the audit log.
+     * Only the calls made before the function returns are attributed.
+     * @param {string} feature the feature, e.g. `macro: spam warning`
+     * @param {function} fn the function making the calls
+     * @returns {any} what the function returns
+     */
+    TBApi.auditAs = function (feature, fn) {
+        const previous = auditFeature;
+        auditFeature = feature;
+        try {
+            return fn();
+        } finally {
+            auditFeature = previous;
+        }
+    };
+
+    /**
+     * Adds an action to the audit log, which the background page keeps in IndexedDB.
+     * @param {object} source the module and feature making the action, from `auditSource`
+     * @param {object} action the action
+     */
+    function auditAction (source, {action, subreddit, target, reason}) {
+        chrome.runtime.sendMessage({
+            action: 'tb-audit-log',
+            method: 'add',
+            entry: {
+                time: Date.now(),
+                mod: TBCore.logged,
+                subreddit: subreddit || '',
+                target: target || '',
+                action,
+                module: source.module,
+                feature: source.feature,
+                reason: reason || '',
+            },
+        });
+    }
+
+    /**
+     * Records an action made through TBApi in the audit log and in the journal, so it can be undone from the modbar.
+     * The journal lives in session storage, so it lasts as long as the tab does.
+     * @param {object} source the module and feature making the action, from `auditSource`
+     * @param {object} action the action
+     * @param {string} action.action short name of the action, e.g. `remove`
+     * @param {string} action.target the thing, user or conversation acted on
+     * @param {string?} action.subreddit the subreddit it was done in, when known
+     * @param {string?} action.reason reason, flair or subject text that came with it
+     * @param {string} action.description what was done
+     * @param {object?} undo the request that reverses the action, or null when it can't be undone
+     * @param {string} undo.description what undoing it does
+     * @param {string} undo.method the HTTP method of the request
+     * @param {string} undo.endpoint the endpoint of the request
+     * @param {object?} undo.data the data of the request, without the modhash
+     * @param {boolean?} undo.oauth whether the request goes through the OAuth API
+     */
+    function recordAction (source, action, undo) {
+        const journal = readJournal();
+
+        auditAction(source, action);
+        journal.push({
+            id: (journal.length && journal[journal.length - 1].id || 0) + 1,
+            time: Date.now(),
+            action: action.action,
+            target: action.target,
+            subreddit: action.subreddit || '',
+            description: action.description,
+            undo: undo || null,
+        });
+        writeJournal(journal);
+    }
+
+    // Things waiting to be looked up by `thingBefore`, by fullname, with the functions resolving their lookups.
+    let pendingThings = {};
+
+    /**
+     * Looks up a thing before acting on it, so the undo of the action can restore the state it was in.
+     * The things asked for while the current task runs, like those of a mass action, are looked up together.
+     * @param {string} id fullname of the thing
+     * @returns {Promise<object?>} the data of the thing, or null when it couldn't be looked up
+     */
+    function thingBefore (id) {
+        return new Promise(resolve => {
+            if (!Object.keys(pendingThings).length) {
+                setTimeout(lookUpPendingThings, 0);
+            }
+            (pendingThings[id] = pendingThings[id] || []).push(resolve);
+        });
+    }
+
+    // Looks up the pending things through /api/info, a hundred at a time.
+    function lookUpPendingThings () {
+        const pending = pendingThings,
+              ids = Object.keys(pending);
+        pendingThings = {};
+
+        for (let start = 0; start < ids.length; start += 100) {
+            const chunk = ids.slice(start, start + 100),
+                  settle = things => chunk.forEach(id => pending[id].forEach(resolve => resolve(things[id] || null)));
+
+            TBApi.getJSON('/api/info.json', {id: chunk.join(','), limit: chunk.length})
+                .then(response => {
+                    TBStorage.purifyObject(response);
+                    const things = {};
+                    response.data.children.forEach(child => {
+                        things[child.data.name] = child.data;
+                    });
+                    settle(things);
+                })
+                .catch(() => settle({}));
+        }
+    }
+
+    /**
+     * Looks up the flair of a user before changing it, so the undo can put it back.
+     * @param {string} user
+     * @param {string} subreddit
+     * @param {object?} known the flair, when the caller already looked it up
+     * @returns {Promise<object?>} `text` and `cssClass` of the flair, or null when it couldn't be looked up
+     */
+    function userFlairBefore (user, subreddit, known) {
+        if (known) {
+            return Promise.resolve({
+                text: known.text || '',
+                cssClass: known.cssClass || '',
+            });
+        }
+        return TBApi.getJSON(`/r/${subreddit}/api/flairlist.json`, {name: user})
+            .then(response => {
+                TBStorage.purifyObject(response);
+                const flair = response.users.find(entry => entry.user.toLowerCase() === user.toLowerCase()) || {};
+                return {
+                    text: flair.flair_text || '',
+                    cssClass: flair.flair_css_class || '',
+                };
+            })
+            .catch(() => null);
+    }
+
+    /**
+     * The audit log, newest first.
+     * @param {object} filters only entries matching all given filters are returned
+     * @param {string?} filters.subreddit
+     * @param {string?} filters.module
+     * @param {string?} filters.action
+     * @param {string?} filters.mod
+     * @param {number?} filters.from earliest timestamp, in milliseconds
+     * @param {number?} filters.to latest timestamp, in milliseconds
+     * @param {string?} filters.search text to look for in the target, feature and reason
+     * @param {number?} limit the most entries to return, all of them when not given
+     * @returns {Promise<object[]>}
+     */
+    TBApi.getAuditLog = (filters, limit) => new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'tb-audit-log',
+            method: 'get',
+            filters,
+            limit,
+        }, response => {
+            if (!response || response.errorThrown !== undefined) {
+                reject(response);
+            } else {
+                resolve(response.entries);
+            }
+        });
+    });
+
+    /**
+     * The actions journaled in this session, oldest first.
+     * @returns {object[]}
+     */
+    TBApi.getActionJournal = readJournal;
+
+    /**
+     * Undoes the last actions of the journal that haven't been undone yet, newest first. Actions that can't be undone
+     * count towards the number, but are left alone.
+     * @param {number} count how many actions to undo
+     * @param {callback} callback called with the undone entries, each with a `status` of `undone`, `failed` or
+     * `cannot undo`
+     */
+    TBApi.undoActions = function (count, callback) {
+        const source = auditSource(),
+              entries = readJournal().filter(entry => !entry.undone).slice(-count).reverse(),
+              results = [];
+
+        // Actions can be journaled while the undo requests run, so the journal is read again for every entry marked.
+        function markUndone (entry) {
+            const journal = readJournal(),
+                  journaled = journal.find(other => other.id === entry.id);
+
+            entry.undone = true;
+            if (journaled) {
+                journaled.undone = true;
+                writeJournal(journal);
+            }
+        }
+
+        function undoNext (index) {
+            if (index === entries.length) {
+                callback(results);
+                return;
+            }
+
+            const entry = entries[index];
+            if (!entry.undo) {
+                results.push({entry, status: 'cannot undo'});
+                undoNext(index + 1);
+                return;
+            }
+
+            const {method, endpoint, data, oauth} = entry.undo;
+            TBApi.sendRequest({
+                method,
+                endpoint,
+                data: oauth ? data : Object.assign({uh: TBCore.modhash}, data),
+                oauth,
+            }).then(() => {
+                markUndone(entry);
+                auditAction(source, {
+                    action: `undo ${entry.action}`,
+                    subreddit: entry.subreddit,
+                    target: entry.target,
+                    reason: entry.undo.description,
+                });
+                results.push({entry, status: 'undone'});
+                undoNext(index + 1);
+            }).catch(error => {
+                logger.log(`Failed to undo: ${entry.description}`);
+                logger.log(error);
+                results.push({entry, status: 'failed'});
+                undoNext(index + 1);
+            });
+        }
+
+        undoNext(0);
+    };
+
     //
     // Reddit 'legacy' API stuff. Still very much in use.
     //
@@ -127,7 +401,19 @@
         setWikiPrivate(subreddit, page, failAlert);
     };
 
-    TBApi.postToWiki = function postToWiki (page, subreddit, data, reason, isJSON, updateAM, callback) {
+    /**
+     * Writes a wiki page.
+     * @param {string} page The wiki page to write
+     * @param {string} subreddit The subreddit the wiki page belongs to
+     * @param {string|object} data The new page content
+     * @param {string} reason The revision reason
+     * @param {boolean} isJSON If true, data will be stringified before writing
+     * @param {boolean} updateAM If true, tabs are replaced by spaces for automoderator
+     * @param {function} callback Called with a success boolean and, on failure, the jqXHR
+     * @param {string?} previousRevision If given, reddit rejects the edit with
+     * a 409 status when the page has changed since this revision
+     */
+    TBApi.postToWiki = function postToWiki (page, subreddit, data, reason, isJSON, updateAM, callback, previousRevision) {
         if (reason) {
             reason = `"${reason}" via toolbox`;
         } else {
@@ -147,12 +433,17 @@
             data = data.replace(/\t/g, '    ');
         }
 
-        TBApi.post(`/r/${subreddit}/api/wiki/edit`, {
+        const editData = {
             content: data,
             page,
             reason,
             uh: TBCore.modhash,
-        }).then(() => {
+        };
+        if (previousRevision) {
+            editData.previous = previousRevision;
+        }
+
+        TBApi.post(`/r/${subreddit}/api/wiki/edit`, editData).then(() => {
             setTimeout(() => {
             // Callback regardless of what happens next.  We wrote to the page.
             // In order to make sure the callback followup doesn't mess with the mod only call we let it wait a bit longer.
@@ -181,12 +472,25 @@
         });
     };
 
-    TBApi.readFromWiki = function (subreddit, page, isJSON, callback) {
+    /**
+     * Reads a wiki page.
+     * @param {string} subreddit The subreddit the wiki page belongs to
+     * @param {string} page The wiki page to read
+     * @param {boolean} isJSON If true, the page content is parsed as JSON
+     * @param {function} callback Called with the page content (or one of the
+     * `TBCore.NO_WIKI_PAGE` and `TBCore.WIKI_PAGE_UNKNOWN` errors) and the ID
+     * of the revision that was read
+     * @param {string?} revision If given, this revision is read instead of the
+     * current one
+     */
+    TBApi.readFromWiki = function (subreddit, page, isJSON, callback, revision) {
         // We need to demangle the JSON ourselves, so we have to go about it this way :(
         TBApi.sendRequest({
             endpoint: `/r/${subreddit}/wiki/${page}.json`,
+            data: revision ? {v: revision} : undefined,
         }).then(({data}) => {
-            const wikiData = data.data.content_md;
+            const wikiData = data.data.content_md,
+                  revisionId = data.data.revision_id;
             if (!wikiData) {
                 callback(TBCore.NO_WIKI_PAGE);
                 return;
@@ -202,14 +506,14 @@
                 }
                 // Moved out of the try so random exceptions don't erase the entire wiki page
                 if (parsedWikiData) {
-                    callback(parsedWikiData);
+                    callback(parsedWikiData, revisionId);
                 } else {
                     callback(TBCore.NO_WIKI_PAGE);
                 }
                 return;
             }
             // We have valid data, but it's not JSON.
-            callback(wikiData);
+            callback(wikiData, revisionId);
         }).catch(({jqXHR, errorThrown}) => {
             logger.log(`Wiki error (${subreddit}/${page}): ${errorThrown}`);
             if (jqXHR.responseText === undefined) {
@@ -247,15 +551,39 @@
     };
 
     TBApi.flairPost = function (postLink, subreddit, text, cssClass, callback) {
-        TBApi.post('/api/flair', {
-            api_type: 'json',
-            link: postLink,
-            text,
-            css_class: cssClass,
-            r: subreddit,
-            uh: TBCore.modhash,
-        })
+        const source = auditSource();
+        let before;
+        thingBefore(postLink)
+            .then(thing => {
+                before = thing;
+                return TBApi.post('/api/flair', {
+                    api_type: 'json',
+                    link: postLink,
+                    text,
+                    css_class: cssClass,
+                    r: subreddit,
+                    uh: TBCore.modhash,
+                });
+            })
             .then(() => {
+                recordAction(source, {
+                    action: 'flair post',
+                    target: postLink,
+                    subreddit,
+                    reason: text,
+                    description: `flair ${postLink} in /r/${subreddit} as "${text}"`,
+                }, before && {
+                    description: before.link_flair_text ? `flair it as "${before.link_flair_text}" again` : 'clear the flair',
+                    method: 'POST',
+                    endpoint: '/api/flair',
+                    data: {
+                        api_type: 'json',
+                        link: postLink,
+                        text: before.link_flair_text || '',
+                        css_class: before.link_flair_css_class || '',
+                        r: subreddit,
+                    },
+                });
                 if (typeof callback !== 'undefined') {
                     callback(true);
                 }
@@ -267,16 +595,43 @@
             });
     };
 
-    TBApi.flairUser = function (user, subreddit, text, cssClass, callback) {
-        TBApi.post('/api/flair', {
-            api_type: 'json',
-            name: user,
-            r: subreddit,
-            text,
-            css_class: cssClass,
-            uh: TBCore.modhash,
-        })
+    /**
+     * Sets the flair of a user.
+     * @param {string} user
+     * @param {string} subreddit
+     * @param {string} text
+     * @param {string} cssClass
+     * @param {function?} callback called with a success boolean and, on failure, the error
+     * @param {object?} before `text` and `cssClass` of the flair the user has now, when known, so the undo can put it
+     * back without looking it up
+     */
+    TBApi.flairUser = function (user, subreddit, text, cssClass, callback, before) {
+        const source = auditSource();
+        userFlairBefore(user, subreddit, before)
+            .then(flair => {
+                before = flair;
+                return TBApi.post('/api/flair', {
+                    api_type: 'json',
+                    name: user,
+                    r: subreddit,
+                    text,
+                    css_class: cssClass,
+                    uh: TBCore.modhash,
+                });
+            })
             .then(() => {
+                recordAction(source, {
+                    action: 'flair user',
+                    target: user,
+                    subreddit,
+                    reason: text,
+                    description: `flair /u/${user} in /r/${subreddit} as "${text}"`,
+                }, before && {
+                    description: before.text ? `flair them as "${before.text}" again` : 'clear the flair',
+                    method: 'POST',
+                    endpoint: '/api/flair',
+                    data: {api_type: 'json', name: user, text: before.text, css_class: before.cssClass, r: subreddit},
+                });
                 if (typeof callback !== 'undefined') {
                     callback(true);
                 }
@@ -289,6 +644,7 @@
     };
 
     TBApi.friendUser = function (user, action, subreddit, banReason, banMessage, banDuration, callback) {
+        const source = auditSource();
         const trimmedBanMessage = banMessage.length > 999 ? banMessage.substring(0, 999) : banMessage;
         const trimmedBanReason = banReason.length > 99 ? banReason.substring(0, 99) : banReason;
         if (banDuration) {
@@ -311,6 +667,18 @@
             duration: banDuration,
         })
             .then(response => {
+                recordAction(source, {
+                    action: `add ${action}`,
+                    target: user,
+                    subreddit,
+                    reason: banReason,
+                    description: `add /u/${user} as ${action} of /r/${subreddit}`,
+                }, {
+                    description: `remove /u/${user} as ${action}`,
+                    method: 'POST',
+                    endpoint: '/api/unfriend',
+                    data: {api_type: 'json', type: action, name: user, r: subreddit},
+                });
                 if (typeof callback !== 'undefined') {
                     callback(true, response);
                 }
@@ -323,6 +691,7 @@
     };
 
     TBApi.unfriendUser = function (user, action, subreddit, callback) {
+        const source = auditSource();
         TBApi.post('/api/unfriend', {
             api_type: 'json',
             uh: TBCore.modhash,
@@ -331,6 +700,19 @@
             r: subreddit,
         })
             .then(response => {
+                // Adding a user back only restores what was there for relationships without a note, duration or
+                // message. Bans and mutes would come back permanent, and the user would get another ban message.
+                recordAction(source, {
+                    action: `remove ${action}`,
+                    target: user,
+                    subreddit,
+                    description: `remove /u/${user} as ${action} of /r/${subreddit}`,
+                }, ['contributor', 'wikicontributor'].includes(action) && {
+                    description: `add /u/${user} as ${action} again`,
+                    method: 'POST',
+                    endpoint: '/api/friend',
+                    data: {api_type: 'json', type: action, name: user, r: subreddit},
+                });
                 if (typeof callback !== 'undefined') {
                     callback(true, response);
                 }
@@ -343,12 +725,23 @@
     };
 
     TBApi.distinguishThing = function (id, sticky, callback) {
+        const source = auditSource();
         TBApi.post('/api/distinguish/yes', {
             id,
             sticky,
             uh: TBCore.modhash,
         })
             .then(() => {
+                recordAction(source, {
+                    action: 'distinguish',
+                    target: id,
+                    description: `distinguish ${id}`,
+                }, {
+                    description: 'undistinguish',
+                    method: 'POST',
+                    endpoint: '/api/distinguish/no',
+                    data: {id},
+                });
                 if (typeof callback !== 'undefined') {
                     callback(true);
                 }
@@ -361,11 +754,29 @@
     };
 
     TBApi.approveThing = function (id, callback) {
-        TBApi.post('/api/approve', {
-            id,
-            uh: TBCore.modhash,
-        })
+        const source = auditSource();
+        let before;
+        thingBefore(id)
+            .then(thing => {
+                before = thing;
+                return TBApi.post('/api/approve', {
+                    id,
+                    uh: TBCore.modhash,
+                });
+            })
             .then(() => {
+                // There's no way to unapprove, so only approving a removed thing can be undone.
+                const wasRemoved = before && (before.removed || before.spam);
+                recordAction(source, {
+                    action: 'approve',
+                    target: id,
+                    description: `approve ${id}`,
+                }, wasRemoved && {
+                    description: before.spam ? 'spam it again' : 'remove it again',
+                    method: 'POST',
+                    endpoint: '/api/remove',
+                    data: {id, spam: !!before.spam},
+                });
                 if (typeof callback !== 'undefined') {
                     callback(true);
                 }
@@ -378,12 +789,31 @@
     };
 
     TBApi.removeThing = function (id, spam, callback) {
-        TBApi.post('/api/remove', {
-            uh: TBCore.modhash,
-            id,
-            spam,
-        })
+        const source = auditSource();
+        let before;
+        thingBefore(id)
+            .then(thing => {
+                before = thing;
+                return TBApi.post('/api/remove', {
+                    uh: TBCore.modhash,
+                    id,
+                    spam,
+                });
+            })
             .then(() => {
+                // Approving only restores things that were approved before. It wouldn't put a thing back in the
+                // queue, and the spam filter keeps what it learned either way.
+                const wasApproved = before && before.approved && !before.removed && !before.spam;
+                recordAction(source, {
+                    action: spam ? 'spam' : 'remove',
+                    target: id,
+                    description: `${spam ? 'spam' : 'remove'} ${id}`,
+                }, !spam && wasApproved && {
+                    description: 'approve it again',
+                    method: 'POST',
+                    endpoint: '/api/approve',
+                    data: {id},
+                });
                 if (typeof callback !== 'undefined') {
                     callback(true);
                 }
@@ -396,11 +826,22 @@
     };
 
     TBApi.markOver18 = function (id, callback) {
+        const source = auditSource();
         TBApi.post('/api/marknsfw', {
             id,
             uh: TBCore.modhash,
         })
             .then(() => {
+                recordAction(source, {
+                    action: 'mark nsfw',
+                    target: id,
+                    description: `mark ${id} NSFW`,
+                }, {
+                    description: 'unmark NSFW',
+                    method: 'POST',
+                    endpoint: '/api/unmarknsfw',
+                    data: {id},
+                });
                 if (typeof callback !== 'undefined') {
                     callback(true);
                 }
@@ -413,11 +854,22 @@
     };
 
     TBApi.unMarkOver18 = function (id, callback) {
+        const source = auditSource();
         TBApi.post('/api/unmarknsfw', {
             uh: TBCore.modhash,
             id,
         })
             .then(() => {
+                recordAction(source, {
+                    action: 'unmark nsfw',
+                    target: id,
+                    description: `unmark ${id} NSFW`,
+                }, {
+                    description: 'mark NSFW',
+                    method: 'POST',
+                    endpoint: '/api/marknsfw',
+                    data: {id},
+                });
                 if (typeof callback !== 'undefined') {
                     callback(true);
                 }
@@ -430,11 +882,22 @@
     };
 
     TBApi.lock = function (id, callback) {
+        const source = auditSource();
         TBApi.post('/api/lock', {
             id,
             uh: TBCore.modhash,
         })
             .then(() => {
+                recordAction(source, {
+                    action: 'lock',
+                    target: id,
+                    description: `lock ${id}`,
+                }, {
+                    description: 'unlock',
+                    method: 'POST',
+                    endpoint: '/api/unlock',
+                    data: {id},
+                });
                 if (typeof callback !== 'undefined') {
                     callback(true);
                 }
@@ -447,11 +910,22 @@
     };
 
     TBApi.unlock = function (id, callback) {
+        const source = auditSource();
         TBApi.post('/api/unlock', {
             uh: TBCore.modhash,
             id,
         })
             .then(() => {
+                recordAction(source, {
+                    action: 'unlock',
+                    target: id,
+                    description: `unlock ${id}`,
+                }, {
+                    description: 'lock',
+                    method: 'POST',
+                    endpoint: '/api/lock',
+                    data: {id},
+                });
                 if (typeof callback !== 'undefined') {
                     callback(true);
                 }
@@ -463,16 +937,32 @@
             });
     };
 
-    TBApi.stickyThread = (id, state = true, num = undefined) => TBApi.post('/api/set_subreddit_sticky', {
-        id,
-        state,
-        num,
-        uh: TBCore.modhash,
-    });
+    TBApi.stickyThread = (id, state = true, num = undefined) => {
+        const source = auditSource();
+        return TBApi.post('/api/set_subreddit_sticky', {
+            id,
+            state,
+            num,
+            uh: TBCore.modhash,
+        }).then(response => {
+            recordAction(source, {
+                action: state ? 'sticky' : 'unsticky',
+                target: id,
+                description: `${state ? 'sticky' : 'unsticky'} ${id}`,
+            }, {
+                description: state ? 'unsticky' : 'sticky',
+                method: 'POST',
+                endpoint: '/api/set_subreddit_sticky',
+                data: {id, state: !state, num},
+            });
+            return response;
+        });
+    };
 
     TBApi.unstickyThread = id => TBApi.stickyThread(id, false);
 
     TBApi.postComment = function (parent, text, callback) {
+        const source = auditSource();
         TBApi.post('/api/comment', {
             parent,
             uh: TBCore.modhash,
@@ -490,6 +980,11 @@
                 }
 
                 logger.log(`Successfully posted comment on ${parent}`);
+                recordAction(source, {
+                    action: 'reply',
+                    target: parent,
+                    description: `reply to ${parent}`,
+                }, null);
                 if (typeof callback !== 'undefined') {
                     callback(true, response);
                 }
@@ -504,6 +999,7 @@
     };
 
     TBApi.postLink = function (link, title, subreddit, callback) {
+        const source = auditSource();
         TBApi.post('/api/submit', {
             kind: 'link',
             resubmit: 'true',
@@ -525,6 +1021,13 @@
                 }
 
                 logger.log(`Successfully posted link to /r/${subreddit}`);
+                recordAction(source, {
+                    action: 'submit',
+                    target: link,
+                    subreddit,
+                    reason: title,
+                    description: `submit ${link} to /r/${subreddit}`,
+                }, null);
                 if (typeof callback !== 'undefined') {
                     callback(true, response);
                 }
@@ -539,6 +1042,7 @@
     };
 
     TBApi.sendMessage = function (user, subject, message, subreddit, callback) {
+        const source = auditSource();
         TBApi.post('/api/compose', {
             from_sr: subreddit,
             subject: subject.substr(0, 99),
@@ -558,6 +1062,13 @@
                 }
 
                 logger.log(`Successfully send link to /u/${user}`);
+                recordAction(source, {
+                    action: 'message',
+                    target: user,
+                    subreddit,
+                    reason: subject,
+                    description: `send a message to /u/${user} from /r/${subreddit}`,
+                }, null);
                 if (typeof callback !== 'undefined') {
                     callback(true, response);
                 }
@@ -572,6 +1083,7 @@
     };
 
     TBApi.sendPM = function (to, subject, message, callback) {
+        const source = auditSource();
         TBApi.post('/api/compose', {
             to,
             uh: TBCore.modhash,
@@ -579,6 +1091,12 @@
             text: message,
         })
             .then(() => {
+                recordAction(source, {
+                    action: 'message',
+                    target: to,
+                    reason: subject,
+                    description: `send a message to /u/${to}`,
+                }, null);
                 if (typeof callback !== 'undefined') {
                     callback(true);
                 }
@@ -590,6 +1108,187 @@
             });
     };
 
+    /**
+     * Starts a new modmail conversation with a user, on behalf of a subreddit.
+     * @param {string} user the user to contact
+     * @param {string} subject conversation subject
+     * @param {string} message markdown body of the first message
+     * @param {string} subreddit the subreddit the conversation is from
+     * @param {boolean} isAuthorHidden show the message as from the subreddit instead of from the mod
+     * @param {callback} callback called with a success boolean and the new conversation, or the error
+     */
+    TBApi.sendModmail = function (user, subject, message, subreddit, isAuthorHidden, callback) {
+        const source = auditSource();
+        TBApi.apiOauthPOST('/api/mod/conversations', {
+            to: user,
+            subject: subject.substr(0, 99),
+            body: message,
+            srName: subreddit,
+            isAuthorHidden,
+        })
+            .then(response => {
+                logger.log(`Successfully started modmail with /u/${user}`);
+                recordAction(source, {
+                    action: 'modmail',
+                    target: user,
+                    subreddit,
+                    reason: subject,
+                    description: `send a modmail to /u/${user} from /r/${subreddit}`,
+                }, null);
+                if (typeof callback !== 'undefined') {
+                    callback(true, response.data.conversation);
+                }
+            })
+            .catch(error => {
+                logger.log(`Failed to start modmail with /u/${user}`);
+                logger.log(error);
+                if (typeof callback !== 'undefined') {
+                    callback(false, error.errorThrown);
+                }
+            });
+    };
+
+    /**
+     * Archives a new modmail conversation.
+     * @param {string} id conversation ID
+     * @param {callback} callback called with a success boolean
+     */
+    TBApi.archiveModmail = function (id, callback) {
+        const source = auditSource();
+        TBApi.apiOauthPOST(`/api/mod/conversations/${id}/archive`)
+            .then(() => {
+                recordAction(source, {
+                    action: 'archive modmail',
+                    target: id,
+                    description: `archive modmail ${id}`,
+                }, {
+                    description: 'unarchive',
+                    method: 'POST',
+                    endpoint: `/api/mod/conversations/${id}/unarchive`,
+                    oauth: true,
+                });
+                if (typeof callback !== 'undefined') {
+                    callback(true);
+                }
+            })
+            .catch(error => {
+                if (typeof callback !== 'undefined') {
+                    callback(false, error.errorThrown);
+                }
+            });
+    };
+
+    /**
+     * Gets a new modmail conversation, along with its messages and the user it is with.
+     * @param {string} id conversation ID
+     * @param {callback} callback called with a success boolean and the response data, or the error
+     */
+    TBApi.getModmailConversation = function (id, callback) {
+        TBApi.apiOauthGET(`/api/mod/conversations/${id}`)
+            .then(response => {
+                TBStorage.purifyObject(response.data);
+                callback(true, response.data);
+            })
+            .catch(error => {
+                callback(false, error.errorThrown);
+            });
+    };
+
+    /**
+     * Replies to a new modmail conversation.
+     * @param {string} id conversation ID
+     * @param {string} message markdown body of the reply
+     * @param {boolean} isAuthorHidden show the reply as from the subreddit instead of from the mod
+     * @param {boolean} isInternal post the reply as a private moderator note
+     * @param {callback} callback called with a success boolean and the conversation, or the error
+     */
+    TBApi.replyToModmail = function (id, message, isAuthorHidden, isInternal, callback) {
+        const source = auditSource();
+        TBApi.apiOauthPOST(`/api/mod/conversations/${id}`, {
+            body: message,
+            isAuthorHidden,
+            isInternal,
+        })
+            .then(response => {
+                recordAction(source, {
+                    action: 'reply to modmail',
+                    target: id,
+                    description: `reply to modmail ${id}`,
+                }, null);
+                if (typeof callback !== 'undefined') {
+                    callback(true, response.data.conversation);
+                }
+            })
+            .catch(error => {
+                if (typeof callback !== 'undefined') {
+                    callback(false, error.errorThrown);
+                }
+            });
+    };
+
+    /**
+     * Highlights a new modmail conversation.
+     * @param {string} id conversation ID
+     * @param {callback} callback called with a success boolean
+     */
+    TBApi.highlightModmail = function (id, callback) {
+        const source = auditSource();
+        TBApi.apiOauthPOST(`/api/mod/conversations/${id}/highlight`)
+            .then(() => {
+                recordAction(source, {
+                    action: 'highlight modmail',
+                    target: id,
+                    description: `highlight modmail ${id}`,
+                }, {
+                    description: 'unhighlight',
+                    method: 'DELETE',
+                    endpoint: `/api/mod/conversations/${id}/highlight`,
+                    oauth: true,
+                });
+                if (typeof callback !== 'undefined') {
+                    callback(true);
+                }
+            })
+            .catch(error => {
+                if (typeof callback !== 'undefined') {
+                    callback(false, error.errorThrown);
+                }
+            });
+    };
+
+    /**
+     * Mutes the user of a new modmail conversation.
+     * @param {string} id conversation ID
+     * @param {number} hours how long to mute the user for, reddit accepts 72, 168 and 672
+     * @param {callback} callback called with a success boolean
+     */
+    TBApi.muteModmailUser = function (id, hours, callback) {
+        const source = auditSource();
+        TBApi.apiOauthPOST(`/api/mod/conversations/${id}/mute`, {
+            num_hours: hours,
+        })
+            .then(() => {
+                recordAction(source, {
+                    action: 'mute modmail user',
+                    target: id,
+                    description: `mute the user of modmail ${id}`,
+                }, {
+                    description: 'unmute',
+                    method: 'POST',
+                    endpoint: `/api/mod/conversations/${id}/unmute`,
+                    oauth: true,
+                });
+                if (typeof callback !== 'undefined') {
+                    callback(true);
+                }
+            })
+            .catch(error => {
+                if (typeof callback !== 'undefined') {
+                    callback(false, error.errorThrown);
+                }
+            });
+    };
+
     TBApi.markMessageRead = function (id, callback) {
         TBApi.post('/api/read_message', {
             api_type: 'json',
@@ -636,6 +1335,24 @@
             });
     };
 
+    TBApi.getWikiRevisions = function (subreddit, page, limit, callback) {
+        TBApi.getJSON(`/r/${subreddit}/wiki/revisions/${page}.json`, {
+            limit,
+            uh: TBCore.modhash,
+        })
+            .then(response => {
+                TBStorage.purifyObject(response);
+                if (typeof callback !== 'undefined') {
+                    callback(true, response.data.children);
+                }
+            })
+            .catch(error => {
+                if (typeof callback !== 'undefined') {
+                    callback(false, error.responseText);
+                }
+            });
+    };
+
     TBApi.getRules = function (sub, callback) {
         TBApi.getJSON(`/r/${sub}/about/rules.json`, {
             uh: TBCore.modhash,
@@ -183,10 +183,11 @@ function initwrapper ({userDetails, newModSubs, cacheDetails}) {
         TBCore.configSchema = 1;
         TBCore.configMinSchema = 1;
         TBCore.configMaxSchema = 1;
-        TBCore.notesSchema = 6;
+        TBCore.notesSchema = 6; // Stays behind notesMaxSchema for a release, so older clients can read what this one writes
         TBCore.notesMinSchema = 4;
         TBCore.notesDeprecatedSchema = 4;
-        TBCore.notesMaxSchema = 6; // The non-default max version (to allow phase-in schema releases)
+        TBCore.notesMaxSchema = 7; // The non-default max version (to allow phase-in schema releases)
+        TBCore.notesShardSchema = 7; // Usernotes spread over multiple wiki pages are written with at least this version
         TBCore.NO_WIKI_PAGE = 'NO_WIKI_PAGE';
         TBCore.WIKI_PAGE_UNKNOWN = 'WIKI_PAGE_UNKNOWN';
         TBCore.isNewModmail = location.host === 'mod.reddit.com';
@@ -388,6 +389,9 @@ function initwrapper ({userDetails, newModSubs, cacheDetails}) {
             removalReasons: '',
             modMacros: '',
             usernoteColors: '',
+            usernoteRetention: '',
+            usernotesGetfrom: '',
+            escalationLadder: '',
             banMacros: '',
         };
 
@@ -987,6 +991,9 @@ function initwrapper ({userDetails, newModSubs, cacheDetails}) {
                 sidebar: subreddit ? TBCore.link(`/r/${subreddit}/about/sidebar`) : '',
                 wiki: subreddit ? TBCore.link(`/r/${subreddit}/wiki/index`) : '',
                 mod: TBCore.logged,
+                removed_by: banned_by || '',
+                // Old reddit keeps the creation time in milliseconds on the thing, elsewhere it isn't known.
+                created: $sender.closest('.thing').attr('data-timestamp') || '',
             };
 
             return info;
@@ -1063,6 +1070,9 @@ function initwrapper ({userDetails, newModSubs, cacheDetails}) {
                         sidebar: subreddit ? TBCore.link(`/r/${subreddit}/about/sidebar`) : '',
                         wiki: subreddit ? TBCore.link(`/r/${subreddit}/wiki/index`) : '',
                         mod: TBCore.logged,
+                        removed_by: '',
+                        created: message.data.created_utc * 1000,
+                        reports: [],
                     };
 
                     callback(info);
@@ -1074,7 +1084,9 @@ function initwrapper ({userDetails, newModSubs, cacheDetails}) {
                     const data = response.data;
 
                     let user = data.children[0].data.author;
-                    const body = data.children[0].data.body || '';
+                    const body = data.children[0].data.body || '',
+                          userReports = data.children[0].data.user_reports || [],
+                          modReports = data.children[0].data.mod_reports || [];
                     let permalink = data.children[0].data.permalink;
                     const title = data.children[0].data.title || '';
                     const postlink = data.children[0].data.url || '';
@@ -1130,12 +1142,66 @@ function initwrapper ({userDetails, newModSubs, cacheDetails}) {
                         sidebar: subreddit ? TBCore.link(`/r/${subreddit}/about/sidebar`) : '',
                         wiki: subreddit ? TBCore.link(`/r/${subreddit}/wiki/index`) : '',
                         mod: TBCore.logged,
+                        // banned_by is true instead of a name for removals by reddit's filters.
+                        removed_by: typeof data.children[0].data.banned_by === 'string' ? data.children[0].data.banned_by : '',
+                        created: data.children[0].data.created_utc * 1000,
+                        // Only the report reasons, without who reported or how often.
+                        reports: userReports.concat(modReports).map(report => report[0]),
                     };
                     callback(info);
                 });
             }
         };
 
+        /**
+         * Adds the tokens that need extra requests to the info from getApiThingInfo:
+         * author_created and author_age for the author's account and rule_list, the subreddit's rules as a numbered list.
+         * Only the tokens used in the content are fetched, the others and those that can't be fetched are left empty.
+         * @function addTokenInfo
+         * @memberof TBCore
+         * @param {object} info thing info as given by getApiThingInfo
+         * @param {string} content the text the tokens will be replaced in
+         * @param {function} callback called with the same info object once the tokens are added
+         */
+        TBCore.addTokenInfo = function (info, content, callback) {
+            const uses = token => new RegExp(`{\\??!?${token}\\b`, 'i').test(content);
+
+            info.author_created = '';
+            info.author_age = '';
+            info.rule_list = '';
+
+            const author = new Promise(resolve => {
+                if (!info.author || !uses('author_created') && !uses('author_age')) {
+                    resolve();
+                    return;
+                }
+                TBApi.aboutUser(info.author, (success, response) => {
+                    if (success && response.data && response.data.created_utc) {
+                        info.author_created = response.data.created_utc * 1000;
+                        info.author_age = TBHelpers.formatTokenDate(info.author_created, 'ago');
+                    }
+                    resolve();
+                });
+            });
+
+            const rules = new Promise(resolve => {
+                if (!info.subreddit || !uses('rule_list')) {
+                    resolve();
+                    return;
+                }
+                TBApi.getRules(info.subreddit, (success, response) => {
+                    if (success && response.rules) {
+                        info.rule_list = response.rules.map((rule, index) => `${index + 1}. ${rule.short_name}`).join('\n');
+                    }
+                    resolve();
+                });
+            });
+
+            Promise.all([author, rules]).then(() => {
+                callback(info);
+            });
+        };
+
         // Prevent page lock while parsing things.  (stolen from RES)
         TBCore.forEachChunked = function (array, chunkSize, delay, call, complete, start) {
             if (array === null) {
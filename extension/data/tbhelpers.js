@@ -649,24 +649,152 @@
         }
     };
 
+    // Token values by lower case name, tokens are case insensitive. {now} is always available.
+    function tokenValues (info) {
+        const values = {now: Date.now()};
+        for (const key of Object.keys(info)) {
+            values[key.toLowerCase()] = info[key];
+        }
+        return values;
+    }
+
+    function hasToken (values, key) {
+        return Object.prototype.hasOwnProperty.call(values, key.toLowerCase());
+    }
+
+    // Values that leave a token empty, or replaced by its default.
+    function isBlankToken (value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    // Values that don't hold as a condition. Unlike blank values, false is still written out as a token's value.
+    function isEmptyToken (value) {
+        return isBlankToken(value) || value === false || value === 'false';
+    }
+
+    // {?key}, {?!key}, {?key=value} and {?key!=value} blocks, closed by {/?}.
+    // The content can't contain another {? so the innermost block matches first and blocks can be nested.
+    const CONDITIONAL_TOKEN = /{\?(!?)(\w+)(?:(!?=)([^}]*))?}((?:(?!{\?)[\s\S])*?){\/\?}/g,
+          // {key}, {key|default}, {key:format} and {key:format|default}.
+          VALUE_TOKEN = /{(\w+)(?::([^|}]+))?(?:\|([^}]*))?}/g;
+
     /**
-     * Replaces {tokes} for the respective value in given content
+     * Formats a timestamp token, either with a pattern made of YYYY, MM, DD, HH, mm and ss (in UTC) or as "ago", the humanised time since.
+     * @function formatTokenDate
+     * @memberof TBHelpers
+     * @param {integer|string} timestamp timestamp in milliseconds or, like reddit's created_utc, in seconds.
+     * @param {string} format the pattern or "ago"
+     * @returns {string} the formatted date, or the value as it was when it isn't a timestamp.
+     */
+    TBHelpers.formatTokenDate = function (timestamp, format) {
+        let time = Number(timestamp);
+        if (timestamp === '' || isNaN(time)) {
+            return timestamp;
+        }
+        // Anything before 1973 in milliseconds is a timestamp in seconds.
+        if (time < 100000000000) {
+            time *= 1000;
+        }
+
+        if (format.trim().toLowerCase() === 'ago') {
+            return TBHelpers.humaniseDays(Math.floor(TBHelpers.millisecondsToDays(Date.now() - time))) || 'less than a day';
+        }
+
+        const date = new Date(time),
+              pad = number => `0${number}`.slice(-2),
+              parts = {
+                  YYYY: date.getUTCFullYear(),
+                  MM: pad(date.getUTCMonth() + 1),
+                  DD: pad(date.getUTCDate()),
+                  HH: pad(date.getUTCHours()),
+                  mm: pad(date.getUTCMinutes()),
+                  ss: pad(date.getUTCSeconds()),
+              };
+        return format.replace(/YYYY|MM|DD|HH|mm|ss/g, part => parts[part]);
+    };
+
+    /**
+     * Replaces {tokens} for the respective value in given content.
+     * Besides {token} this understands {token|default} for empty or missing values, {token:YYYY-MM-DD} or {token:ago} for timestamps
+     * and {?token}, {?!token}, {?token=value} or {?token!=value} blocks closed by {/?} that are only kept when the condition holds.
+     * Unknown tokens are left in place, use unknownTokens to find them.
      * @function replaceTokens
      * @memberof TBHelpers
      * @param {object} info object with token name keys and token content values.
-     * @param {string} content dirty dirty sub.
+     * @param {string} content text with tokens.
      * @returns {string} token replaced text!
      */
     TBHelpers.replaceTokens = function (info, content) {
-        logger.log(info);
-        for (const i of Object.keys(info)) {
-            const pattern = new RegExp(`{${i}}`, 'mig');
-            content = content.replace(pattern, info[i]);
+        const values = tokenValues(info),
+              unknown = TBHelpers.unknownTokens(info, content);
+
+        let previous;
+        do {
+            previous = content;
+            content = content.replace(CONDITIONAL_TOKEN, (match, negate, key, operator, expected, inner) => {
+                const value = values[key.toLowerCase()];
+                let holds;
+                if (operator) {
+                    holds = String(isBlankToken(value) ? '' : value).toLowerCase() === expected.trim().toLowerCase();
+                    if (operator === '!=') {
+                        holds = !holds;
+                    }
+                } else {
+                    holds = !isEmptyToken(value);
+                }
+                if (negate) {
+                    holds = !holds;
+                }
+                return holds ? inner : '';
+            });
+        } while (content !== previous);
+
+        content = content.replace(VALUE_TOKEN, (match, key, format, fallback) => {
+            if (!hasToken(values, key)) {
+                return fallback === undefined ? match : fallback;
+            }
+            let value = values[key.toLowerCase()];
+            if (format && !isEmptyToken(value)) {
+                value = TBHelpers.formatTokenDate(value, format);
+            }
+            if (isBlankToken(value)) {
+                return fallback === undefined ? '' : fallback;
+            }
+            return String(value);
+        });
+
+        if (unknown.length) {
+            logger.warn(`unknown tokens: ${unknown.join(', ')}`);
         }
 
         return content;
     };
 
+    /**
+     * Lists the tokens in the content that info has no value for, so broken templates can be reported before they are sent.
+     * @function unknownTokens
+     * @memberof TBHelpers
+     * @param {object} info object with token name keys and token content values.
+     * @param {string} content text with tokens.
+     * @param {array} [ignore] names of tokens that are filled in later.
+     * @returns {array} the names of the unknown tokens, each listed once.
+     */
+    TBHelpers.unknownTokens = function (info, content, ignore = []) {
+        const values = tokenValues(info),
+              ignored = ignore.map(token => token.toLowerCase()),
+              unknown = [];
+
+        const check = key => {
+            key = key.toLowerCase();
+            if (!hasToken(values, key) && !ignored.includes(key) && !unknown.includes(key)) {
+                unknown.push(key);
+            }
+        };
+        content.replace(/{\?!?(\w+)/g, (match, key) => check(key));
+        content.replace(VALUE_TOKEN, (match, key) => check(key));
+        return unknown;
+    };
+
     /**
      * reddit HTML encodes all of their JSON responses, we need to HTMLdecode them before parsing.
      * @function unescapeJSON
@@ -721,6 +849,91 @@
         return $('<div/>').html(value).text();
     };
 
+    /**
+     * Turns rows of values into a CSV string, quoting fields where needed.
+     * @function toCSV
+     * @memberof TBHelpers
+     * @param {array[]} rows Array of rows, each row being an array of field values
+     * @returns {string} CSV formatted text
+     */
+    TBHelpers.toCSV = function toCSV (rows) {
+        return rows.map(row => row.map(value => {
+            const field = value === undefined || value === null ? '' : String(value);
+            if (/[",\r\n]/.test(field)) {
+                return `"${field.replace(/"/g, '""')}"`;
+            }
+            return field;
+        }).join(',')).join('\r\n');
+    };
+
+    /**
+     * Parses CSV text into rows of string values. Handles quoted fields containing commas, quotes and newlines.
+     * @function parseCSV
+     * @memberof TBHelpers
+     * @param {string} csv CSV formatted text
+     * @returns {array[]} Array of rows, each row being an array of field values
+     */
+    TBHelpers.parseCSV = function parseCSV (csv) {
+        const rows = [];
+        let row = [],
+            field = '',
+            inQuotes = false;
+
+        for (let i = 0; i < csv.length; i++) {
+            const char = csv[i];
+
+            if (inQuotes) {
+                if (char === '"' && csv[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && csv[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    };
+
+    /**
+     * Offers the given content to the user as a file download.
+     * @function downloadFile
+     * @memberof TBHelpers
+     * @param {string} filename Name of the downloaded file
+     * @param {string} content File contents
+     * @param {string} mimeType Mime type of the contents
+     */
+    TBHelpers.downloadFile = function downloadFile (filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], {type: mimeType}));
+        const $link = $('<a>').attr({href: url, download: filename}).appendTo('body');
+
+        $link[0].click();
+        $link.remove();
+        URL.revokeObjectURL(url);
+    };
+
     TBHelpers.zlibInflate = function (stringThing) {
     // Expand base64
         stringThing = atob(stringThing);
@@ -41,6 +41,7 @@
         edit: '&#xe3c9;', // edit
         help: '&#xe8fd;', // help_outline
         history: '&#xe889;', // history
+        keyboard: '&#xe312;', // keyboard
         list: '&#xe896;', // list
         modlog: '&#xe3ec;', // grid_on
         modqueue: '&#xe8b2;', // report_problem
@@ -0,0 +1,26 @@
+'use strict';
+window.TB = {
+    Module: jest.fn().mockImplementation(() => ({
+        settings: {enabled: {}},
+    })),
+    register_module: jest.fn(),
+};
+require('../../../extension/data/modules/macros');
+window.dispatchEvent(new CustomEvent('TBModuleLoaded'));
+const macros = window.TB.register_module.mock.calls[0][0];
+
+describe('macros.js', () => {
+    describe('fillMacroFields()', () => {
+        it('replaces fields by their values in order', () => {
+            const markdown = '<p>Hi <input id="name">, you were removed for <select><option>spam</option></select>.</p>';
+            expect(macros.fillMacroFields(markdown, ['someone', 'spam'])).toEqual('Hi someone, you were removed for spam.');
+        });
+        it('fills nested fields in the order they are rendered', () => {
+            const markdown = '<p>A <em>B <input> <strong>C <textarea></textarea></strong></em> <input></p>';
+            expect(macros.fillMacroFields(markdown, ['1', '2', '3'])).toEqual('A B 1 C 2 3');
+        });
+        it('turns line breaks into paragraphs and leaves missing values empty', () => {
+            expect(macros.fillMacroFields('<p>first<br>second <input></p>', [])).toEqual('first\n\nsecond ');
+        });
+    });
+});
@@ -0,0 +1,301 @@
+'use strict';
+window.pako = require('../../../extension/data/libs/pako');
+window.TBLog = () => ({
+    log: jest.fn(),
+    warn: jest.fn(),
+});
+require('../../../extension/data/tbhelpers');
+
+window.TB = {
+    Module: jest.fn().mockImplementation(() => ({
+        settings: {
+            enabled: {},
+        },
+        register_setting: jest.fn(),
+        setting: jest.fn(),
+        log: jest.fn(),
+    })),
+    register_module: jest.fn(),
+    storage: {
+        getSetting: jest.fn(),
+    },
+};
+window.TBCore = {
+    notesSchema: 6,
+    notesMinSchema: 4,
+    notesMaxSchema: 7,
+    baseDomain: 'https://www.reddit.com',
+    logged: 'me',
+};
+
+require('../../../extension/data/modules/usernotes');
+window.dispatchEvent(new CustomEvent('TBModuleLoaded'));
+const usernotes = window.TB.register_module.mock.calls[0][0];
+
+const colors = [
+    {key: 'gooduser', color: 'green', text: 'Good Contributor'},
+    {key: 'spamwatch', color: 'fuchsia', text: 'Spam Watch'},
+    {key: 'abusewarn', color: 'orange', text: 'Abuse Warning'},
+    {key: 'ban', color: 'red', text: 'Ban'},
+];
+
+// Notes are kept newest first, like the inflated notes are.
+const notesOf = users => {
+    const notes = {ver: 6, users: {}};
+    Object.keys(users).forEach(user => {
+        notes.users[user] = {name: user, notes: users[user].slice().sort((a, b) => b.time - a.time)};
+    });
+    return notes;
+};
+const makeNote = (text, time, extra) => Object.assign({note: text, time, mod: 'amod', link: '', type: undefined}, extra);
+const texts = (merged, user) => merged.users[user] ? merged.users[user].notes.map(note => note.note) : [];
+
+describe('usernotes.js', () => {
+    describe('_deflateNotes() and _inflateNotes()', () => {
+        const note = {
+            note: 'spam',
+            time: 1557232200000,
+            mod: 'amod',
+            link: '/r/toolbox/comments/abc/-/def/',
+            type: 'spamwatch',
+        };
+        const roundTrip = (notes, sub = 'toolbox') => usernotes._inflateNotes(usernotes._deflateNotes(notes, sub), sub);
+
+        it('keeps notes as they were', () => {
+            const inflated = roundTrip({ver: 6, users: {someone: {notes: [note]}}});
+            expect(inflated.users.someone.notes).toEqual([note]);
+        });
+        it('keeps the snapshot of a note in v6 notes', () => {
+            const snapshot = Object.assign({snapshot: 'Buy my stuff - cheap stuff'}, note),
+                  deflated = usernotes._deflateNotes({ver: 6, users: {someone: {notes: [snapshot]}}}, 'toolbox');
+
+            expect(deflated.ver).toEqual(6);
+            expect(usernotes._inflateNotes(deflated, 'toolbox').users.someone.notes[0].snapshot).toEqual('Buy my stuff - cheap stuff');
+        });
+        it('keeps the subreddit a shared note came from in v6 notes', () => {
+            const shared = Object.assign({}, note, {sub: 'toolboxdev', link: '/r/toolboxdev/comments/abc/-/def/'}),
+                  inflated = roundTrip({ver: 6, users: {someone: {notes: [shared, note]}}});
+
+            expect(inflated.users.someone.notes).toEqual([shared, note]);
+        });
+    });
+
+    describe('_mergeNotes()', () => {
+        const first = makeNote('first', Date.UTC(2019, 0, 1)),
+              second = makeNote('second', Date.UTC(2019, 1, 1)),
+              ours = makeNote('ours', Date.UTC(2019, 2, 1)),
+              theirs = makeNote('theirs', Date.UTC(2019, 2, 2));
+
+        it('keeps notes both sides added to the same user', () => {
+            const merged = usernotes._mergeNotes(
+                notesOf({someone: [first]}),
+                notesOf({someone: [first, ours]}),
+                notesOf({someone: [first, theirs]})
+            );
+
+            expect(merged.conflicts).toEqual([]);
+            expect(texts(merged, 'someone')).toEqual(['theirs', 'ours', 'first']);
+        });
+        it('keeps notes both sides added to a user that is new to both', () => {
+            const merged = usernotes._mergeNotes(notesOf({}), notesOf({someone: [ours]}), notesOf({someone: [theirs]}));
+
+            expect(merged.conflicts).toEqual([]);
+            expect(texts(merged, 'someone')).toEqual(['theirs', 'ours']);
+        });
+        it('removes the note we deleted while they added one', () => {
+            const merged = usernotes._mergeNotes(
+                notesOf({someone: [first, second]}),
+                notesOf({someone: [second]}),
+                notesOf({someone: [first, second, theirs]})
+            );
+
+            expect(merged.conflicts).toEqual([]);
+            expect(texts(merged, 'someone')).toEqual(['theirs', 'second']);
+        });
+        it('keeps the note we added while they deleted one', () => {
+            const merged = usernotes._mergeNotes(
+                notesOf({someone: [first, second]}),
+                notesOf({someone: [first, second, ours]}),
+                notesOf({someone: [second]})
+            );
+
+            expect(merged.conflicts).toEqual([]);
+            expect(texts(merged, 'someone')).toEqual(['ours', 'second']);
+        });
+        it('reports a conflict when we deleted a user they added a note to', () => {
+            const merged = usernotes._mergeNotes(
+                notesOf({someone: [first]}),
+                notesOf({}),
+                notesOf({someone: [first, theirs]})
+            );
+
+            expect(merged.conflicts).toEqual(['someone']);
+        });
+        it('deletes a note both sides deleted', () => {
+            const merged = usernotes._mergeNotes(
+                notesOf({someone: [first, second]}),
+                notesOf({someone: [second]}),
+                notesOf({someone: [second]})
+            );
+
+            expect(merged.conflicts).toEqual([]);
+            expect(texts(merged, 'someone')).toEqual(['second']);
+        });
+        it('drops a user both sides deleted all notes of', () => {
+            const merged = usernotes._mergeNotes(
+                notesOf({someone: [first], other: [second]}),
+                notesOf({other: [second]}),
+                notesOf({other: [second]})
+            );
+
+            expect(merged.conflicts).toEqual([]);
+            expect(merged.users.someone).toBeUndefined();
+            expect(texts(merged, 'other')).toEqual(['second']);
+        });
+        it('reports notes only they have as conflicts without a base', () => {
+            const merged = usernotes._mergeNotes(null, notesOf({someone: [first, ours]}), notesOf({someone: [first, theirs]}));
+
+            expect(merged.conflicts).toEqual(['someone']);
+        });
+    });
+
+    describe('_notesToExportRows() and _parseImportFile()', () => {
+        const note = makeNote('said "hi", then\nspammed', Date.UTC(2019, 4, 7, 12, 30), {
+            type: 'spamwatch',
+            link: '/r/toolbox/comments/abc/-/def/',
+            snapshot: 'Buy my stuff',
+        });
+
+        it('flattens notes into rows', () => {
+            expect(usernotes._notesToExportRows(notesOf({someone: [note]}), colors)).toEqual([{
+                user: 'someone',
+                note: 'said "hi", then\nspammed',
+                type: 'spamwatch',
+                type_label: 'Spam Watch',
+                mod: 'amod',
+                timestamp: '2019-05-07T12:30:00.000Z',
+                permalink: 'https://www.reddit.com/r/toolbox/comments/abc/-/def/',
+                snapshot: 'Buy my stuff',
+            }]);
+        });
+        it('reads exported CSV back into the same notes', () => {
+            const fields = ['user', 'note', 'type', 'type_label', 'mod', 'timestamp', 'permalink', 'snapshot'],
+                  rows = usernotes._notesToExportRows(notesOf({someone: [note]}), colors).map(row => fields.map(field => row[field])),
+                  csv = window.TBHelpers.toCSV([fields].concat(rows)),
+                  parsed = usernotes._parseImportFile('notes.csv', csv);
+
+            expect(parsed.invalid).toEqual(0);
+            expect(parsed.imported).toEqual([{
+                user: 'someone',
+                typeLabel: 'Spam Watch',
+                note: Object.assign({}, note, {link: 'https://www.reddit.com/r/toolbox/comments/abc/-/def/'}),
+            }]);
+        });
+        it('reads exported JSON and skips rows without a user, note or time', () => {
+            const rows = [
+                {user: 'someone', note: 'hi', timestamp: '1557232200000'},
+                {user: '', note: 'hi', timestamp: '1557232200000'},
+                {user: 'someone', note: 'hi', timestamp: 'yesterday'},
+            ];
+            const parsed = usernotes._parseImportFile('notes.json', JSON.stringify({notes: rows}));
+
+            expect(parsed.invalid).toEqual(2);
+            expect(parsed.imported).toEqual([{
+                user: 'someone',
+                typeLabel: undefined,
+                note: {note: 'hi', time: 1557232200000, mod: 'me', link: '', type: undefined},
+            }]);
+        });
+    });
+
+    describe('_planImport()', () => {
+        const existing = makeNote('hi', Date.UTC(2019, 0, 1, 0, 0, 0, 500));
+
+        it('skips notes that already exist, to the second', () => {
+            const plan = usernotes._planImport(notesOf({someone: [existing]}), [
+                {user: 'someone', note: makeNote('hi', Date.UTC(2019, 0, 1))},
+                {user: 'someone', note: makeNote('hi again', Date.UTC(2019, 0, 2))},
+                {user: 'someone', note: makeNote('hi again', Date.UTC(2019, 0, 2))},
+            ], colors);
+
+            expect(plan.duplicates).toEqual(2);
+            expect(plan.toAdd.map(add => add.note.note)).toEqual(['hi again']);
+        });
+        it('matches users ignoring case', () => {
+            const plan = usernotes._planImport(notesOf({SomeOne: [existing]}), [
+                {user: 'someone', note: makeNote('hi', Date.UTC(2019, 0, 1))},
+                {user: 'SOMEONE', note: makeNote('hi again', Date.UTC(2019, 0, 2))},
+                {user: 'Other', note: makeNote('hello', Date.UTC(2019, 0, 3))},
+                {user: 'other', note: makeNote('hello', Date.UTC(2019, 0, 3))},
+            ], colors);
+
+            expect(plan.duplicates).toEqual(2);
+            expect(plan.toAdd.map(add => add.user)).toEqual(['SomeOne', 'Other']);
+        });
+        it('matches unknown types by their label', () => {
+            const plan = usernotes._planImport(notesOf({}), [
+                {user: 'someone', typeLabel: 'Ban', note: makeNote('a', 1, {type: 'banned'})},
+                {user: 'someone', typeLabel: 'Nope', note: makeNote('b', 2, {type: 'nope'})},
+            ], colors);
+
+            expect(plan.toAdd.map(add => add.note.type)).toEqual(['ban', undefined]);
+        });
+    });
+
+    describe('_expiredNotes()', () => {
+        const now = Date.UTC(2019, 6, 1),
+              day = 86400000,
+              notes = notesOf({
+                  someone: [
+                      makeNote('old spam', now - 40 * day, {type: 'spamwatch'}),
+                      makeNote('new spam', now - 10 * day, {type: 'spamwatch'}),
+                      makeNote('old ban', now - 400 * day, {type: 'ban'}),
+                      makeNote('old untyped', now - 40 * day),
+                  ],
+              });
+
+        it('finds the notes older than the retention of their type', () => {
+            const expired = usernotes._expiredNotes(notes, {spamwatch: 30, none: 30}, colors, now);
+
+            expect(expired.map(({note}) => note.note)).toEqual(['old spam', 'old untyped']);
+            expect(expired.map(({type}) => type.key)).toEqual(['spamwatch', 'none']);
+        });
+        it('keeps everything without retention rules', () => {
+            expect(usernotes._expiredNotes(notes, undefined, colors, now)).toEqual([]);
+        });
+    });
+
+    describe('_noteStatistics()', () => {
+        const notes = notesOf({
+            someone: [
+                makeNote('a', new Date(2019, 0, 15).getTime(), {type: 'gooduser'}),
+                makeNote('b', new Date(2019, 1, 15).getTime(), {type: 'spamwatch', mod: 'othermod'}),
+                makeNote('c', new Date(2019, 1, 16).getTime(), {type: 'ban'}),
+            ],
+            other: [
+                makeNote('d', new Date(2019, 1, 15).getTime(), {type: 'ban'}),
+                makeNote('e', new Date(2019, 1, 16).getTime(), {type: 'spamwatch'}),
+            ],
+            empty: [],
+        });
+
+        it('counts notes per type, moderator and month', () => {
+            const stats = usernotes._noteStatistics(notes, colors);
+
+            expect(stats.noteCount).toEqual(5);
+            expect(stats.userCount).toEqual(2);
+            expect(stats.perType).toEqual({gooduser: 1, spamwatch: 2, ban: 2});
+            expect(stats.perMod).toEqual({amod: 4, othermod: 1});
+            expect(stats.perMonth).toEqual({'2019-01': 1, '2019-02': 4});
+            expect(stats.topUsers).toEqual([{user: 'someone', count: 3}, {user: 'other', count: 2}]);
+        });
+        it('counts users whose notes escalate along the order of the types', () => {
+            expect(usernotes._noteStatistics(notes, colors).escalating).toEqual(1);
+        });
+        it('counts users whose notes escalate along the escalation ladder', () => {
+            const ladder = [{type: 'ban'}, {type: 'spamwatch'}];
+            expect(usernotes._noteStatistics(notes, colors, ladder).escalating).toEqual(1);
+            expect(usernotes._noteStatistics(notes, colors, [{type: 'gooduser'}]).escalating).toEqual(0);
+        });
+    });
+});
@@ -0,0 +1,55 @@
+'use strict';
+window.TBLog = () => ({
+    log: jest.fn(),
+    warn: jest.fn(),
+});
+require('../../extension/data/tbhelpers');
+
+describe('tbhelpers.js', () => {
+    describe('replaceTokens()', () => {
+        const info = {
+            author: 'someone',
+            title: '',
+            kind: 'submission',
+            locked: false,
+            nsfw: 'false',
+            score: 0,
+            created: Date.UTC(2019, 4, 7, 12, 30),
+        };
+
+        it('replaces value tokens, ignoring case', () => {
+            expect(window.TBHelpers.replaceTokens(info, 'Hi {author}, {AUTHOR}')).toEqual('Hi someone, someone');
+        });
+        it('uses the default of empty and missing tokens', () => {
+            expect(window.TBHelpers.replaceTokens(info, '{title|untitled} {link|no link}')).toEqual('untitled no link');
+        });
+        it('leaves unknown tokens in place', () => {
+            expect(window.TBHelpers.replaceTokens(info, '{link}')).toEqual('{link}');
+        });
+        it('writes out false and 0 as values', () => {
+            expect(window.TBHelpers.replaceTokens(info, '{locked} {nsfw} {score}')).toEqual('false false 0');
+            expect(window.TBHelpers.replaceTokens(info, '{locked|unlocked}')).toEqual('false');
+        });
+        it('formats timestamps', () => {
+            expect(window.TBHelpers.replaceTokens(info, '{created:YYYY-MM-DD HH:mm}')).toEqual('2019-05-07 12:30');
+        });
+        it('keeps conditional blocks only when their token holds', () => {
+            expect(window.TBHelpers.replaceTokens(info, '{?author}by {author}{/?}{?title}: {title}{/?}')).toEqual('by someone');
+            expect(window.TBHelpers.replaceTokens(info, '{?locked}locked{/?}{?nsfw}nsfw{/?}')).toEqual('');
+            expect(window.TBHelpers.replaceTokens(info, '{?!locked}open{/?}')).toEqual('open');
+        });
+        it('compares tokens in conditional blocks', () => {
+            expect(window.TBHelpers.replaceTokens(info, '{?kind=Submission}post{/?}{?kind!=submission}comment{/?}')).toEqual('post');
+            expect(window.TBHelpers.replaceTokens(info, '{?locked=false}unlocked{/?}')).toEqual('unlocked');
+        });
+        it('handles nested conditional blocks', () => {
+            expect(window.TBHelpers.replaceTokens(info, '{?author}a{?kind=submission}b{?title}c{/?}{/?}{/?}')).toEqual('ab');
+        });
+    });
+
+    describe('unknownTokens()', () => {
+        it('lists each unknown token once', () => {
+            expect(window.TBHelpers.unknownTokens({author: 'someone'}, '{author} {link} {?link}{/?} {loglink}', ['loglink'])).toEqual(['link']);
+        });
+    });
+});